@@ -0,0 +1,10 @@
+// Type definitions for @alexis89x/broadcast-channel.
+// The package exports the native BroadcastChannel where available, otherwise the polyfill: only the standard API
+// can be relied on. The polyfill, with its options and extensions, is typed in polyfill.d.ts.
+
+declare const BroadcastChannel: {
+  prototype: globalThis.BroadcastChannel;
+  new (name: string): globalThis.BroadcastChannel;
+};
+
+export = BroadcastChannel;
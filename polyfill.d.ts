@@ -0,0 +1,337 @@
+// Type definitions for @alexis89x/broadcast-channel/polyfill.
+// T is the type of the messages sent on the channel: new BroadcastChannel<MyMessage>('my-app').
+
+declare namespace BroadcastChannel {
+
+  /**
+   * Serializes the messages sent across tabs. Every tab listening on a channel must use the same codec.
+   */
+  interface Codec {
+    serialize(value: unknown): string;
+    deserialize(str: string): unknown;
+  }
+
+  /**
+   * A custom transport ( see src/transports ).
+   */
+  interface Transport {
+    name: string;
+    isSupported(context: unknown): boolean;
+    open(context: unknown, receive: (raw: string | null, channelId?: string) => boolean): TransportHandle;
+  }
+
+  interface TransportHandle {
+    post(channelId: string, raw: string): void;
+    close(): void;
+    join?(channelId: string): void;
+    leave?(channelId: string): void;
+  }
+
+  type TransportName = 'native' | 'localstorage' | 'indexeddb' | 'serviceworker' | 'memory';
+
+  /**
+   * The errors found by a validator function: true, undefined or an empty array if the data is valid.
+   */
+  type ValidationResult = boolean | string | string[] | undefined | void;
+
+  /**
+   * The subset of JSON Schema supported by the schema option.
+   */
+  interface JSONSchema {
+    type?: JSONSchemaType | JSONSchemaType[];
+    enum?: unknown[];
+    const?: unknown;
+    properties?: { [key: string]: JSONSchema };
+    required?: string[];
+    additionalProperties?: boolean | JSONSchema;
+    items?: JSONSchema;
+    minItems?: number;
+    maxItems?: number;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    anyOf?: JSONSchema[];
+  }
+
+  type JSONSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+  type Validator<T> = (data: T) => ValidationResult;
+
+  /**
+   * A map of schemas by message type, read from the key property of the messages ( default 'type' ).
+   */
+  interface SchemaMap<T> {
+    key?: string;
+    types: { [type: string]: JSONSchema | Validator<T> };
+  }
+
+  type Schema<T> = Validator<T> | JSONSchema | SchemaMap<T>;
+
+  interface Options<T> {
+    codec?: Codec;
+    transport?: TransportName | Transport | Array<TransportName | Transport>;
+    ordered?: boolean | { window?: number };
+    presence?: boolean | { heartbeat?: number; timeout?: number };
+    history?: boolean | { size?: number; ttl?: number };
+    replay?: number;
+    since?: number;
+    encryption?: { key?: CryptoKey; secret?: string; salt?: string; iterations?: number };
+    schema?: Schema<T>;
+    compression?: boolean | { threshold?: number; method?: 'lz' | 'deflate' };
+    batch?: boolean | { delay?: number; size?: number };
+    coalesce?: (data: T) => string | number | undefined;
+    rateLimit?: { rate: number; burst?: number; policy?: 'queue' | 'drop' };
+    version?: string;
+  }
+
+  interface Member {
+    id: string;
+    tabId: string;
+    joinedAt: number;
+    lastSeen: number;
+  }
+
+  interface PeerVersion {
+    id: string;
+    tabId: string;
+    /** The protocol version of the polyfill ( 0 for the versions without protocol version ). */
+    protocol: number;
+    /** The version of the app. */
+    version?: string;
+    lastSeen: number;
+  }
+
+  interface VersionMismatch {
+    id: string;
+    tabId: string;
+    protocol: number;
+    version?: string;
+    /** true if the other channel is newer than this one. */
+    newer: boolean;
+  }
+
+  interface ReloadRequest {
+    from: string;
+    tabId: string;
+    protocol: number;
+    version?: string;
+  }
+
+  interface PostMessageOptions {
+    to?: string | string[] | ((member: Member) => boolean);
+    topic?: string;
+  }
+
+  interface AckOptions extends PostMessageOptions {
+    ack: true;
+    timeout?: number;
+    retries?: number;
+  }
+
+  /**
+   * The TimeoutError rejecting the messages that have not been acknowledged.
+   */
+  interface AckTimeoutError extends DOMException {
+    /** The tabIds that have acknowledged the message. */
+    acked: string[];
+    /** The recipients that have not acknowledged the message, if known. */
+    missing: string[];
+  }
+
+  interface RequestOptions {
+    timeout?: number;
+    target?: string;
+    mode?: 'first' | 'all';
+  }
+
+  interface Response<R> {
+    from: string;
+    tabId: string;
+    result?: R;
+    error?: Error;
+  }
+
+  interface Sender {
+    from: string;
+    tabId: string;
+  }
+
+  interface TopicInfo extends Sender {
+    topic: string;
+  }
+
+  interface OutgoingEnvelope<T> {
+    data: T;
+    topic?: string;
+    to?: PostMessageOptions['to'];
+  }
+
+  interface IncomingEnvelope<T> {
+    data: T;
+    topic?: string;
+    from: string;
+    tabId: string;
+    origin: string;
+  }
+
+  interface Middleware<T> {
+    outgoing?(envelope: OutgoingEnvelope<T>, next: (envelope?: OutgoingEnvelope<any>) => void): void;
+    incoming?(envelope: IncomingEnvelope<any>, next: (envelope?: IncomingEnvelope<T>) => void): void;
+  }
+
+  /**
+   * The messageerror event, with the reasons of the error ( e.g. the validation errors if the message did not match the schema ).
+   */
+  interface MessageErrorEvent extends MessageEvent<null> {
+    errors?: string[];
+  }
+
+  interface MemberEvent extends CustomEvent<Member> {}
+
+  /**
+   * An entry of the inspector ( see src/debug.js ).
+   */
+  interface InspectorEntry {
+    time: number;
+    type: 'sent' | 'received' | 'dropped' | 'error';
+    channel?: string;
+    tabId?: string;
+    bcId?: string;
+    seq?: number;
+    size?: number;
+    topic?: string;
+    internal?: boolean;
+    latency?: number;
+    reason?: string;
+  }
+
+  interface InspectorCounters {
+    sent: number;
+    received: number;
+    dropped: number;
+    errors: number;
+    bytesSent: number;
+    bytesReceived: number;
+    latency: { count: number; average: number; max: number };
+  }
+
+  interface Inspector {
+    enabled: boolean;
+    /** Maximum number of entries kept ( default 500 ). */
+    size: number;
+    getEntries(filter?: (entry: InspectorEntry) => boolean): InspectorEntry[];
+    getCounters(): InspectorCounters;
+    dump(filter?: (entry: InspectorEntry) => boolean): InspectorEntry[];
+    clear(): void;
+  }
+
+  interface CompressionStats {
+    messages: number;
+    compressed: number;
+    originalBytes: number;
+    compressedBytes: number;
+    savedBytes: number;
+    ratio: number;
+  }
+
+  interface JanitorStats {
+    runs: number;
+    keysRemoved: number;
+    bytesReclaimed: number;
+    lastRun: number | null;
+  }
+
+  interface SharedStoreOptions {
+    /** Persists the state in localStorage ( default true ). */
+    persist?: boolean;
+    channel?: Options<any>;
+  }
+
+  interface SharedStore<S extends object> {
+    get(): S;
+    get<K extends keyof S>(key: K): S[K];
+    set<K extends keyof S>(key: K, value: S[K]): void;
+    set(values: Partial<S>): void;
+    subscribe(listener: (state: S, changedKeys: Array<keyof S>) => void): () => void;
+    close(): void;
+  }
+
+  interface LockManagerOptions {
+    /** false to use the polyfill even where navigator.locks is available. */
+    native?: boolean;
+    leaseTimeout?: number;
+    applyDelay?: number;
+    retryInterval?: number;
+  }
+
+  interface EventMap<T> {
+    message: MessageEvent<T>;
+    messageerror: MessageErrorEvent;
+    memberjoin: MemberEvent;
+    memberleave: MemberEvent;
+    versionmismatch: CustomEvent<VersionMismatch>;
+    reloadrequest: CustomEvent<ReloadRequest>;
+  }
+}
+
+declare class BroadcastChannel<T = any> extends EventTarget {
+  constructor(channelName?: string, options?: BroadcastChannel.Options<T>);
+
+  /** The name of the channel. */
+  readonly channelName: string;
+  /** The identifier of the channel instance. */
+  readonly name: string;
+  readonly closed: boolean;
+  /** The identifier of the current tab. */
+  readonly tabId: string;
+  /** The number of bytes of the messages waiting to be sent ( batched or rate limited ). */
+  readonly bufferedAmount: number;
+
+  onmessage: ((this: BroadcastChannel<T>, ev: MessageEvent<T>) => any) | null;
+  onmessageerror: ((this: BroadcastChannel<T>, ev: BroadcastChannel.MessageErrorEvent) => any) | null;
+  onversionmismatch: ((this: BroadcastChannel<T>, ev: CustomEvent<BroadcastChannel.VersionMismatch>) => any) | null;
+
+  postMessage(data: T, options: BroadcastChannel.AckOptions): Promise<string[]>;
+  postMessage(data: T, options?: BroadcastChannel.PostMessageOptions): void;
+  subscribe(pattern: string, handler: (this: BroadcastChannel<T>, data: T, info: BroadcastChannel.TopicInfo) => void): () => void;
+  use(middleware: BroadcastChannel.Middleware<T>): () => void;
+
+  getMembers(): BroadcastChannel.Member[];
+  getVersions(): BroadcastChannel.PeerVersion[];
+  requestReload(target?: string | string[]): void;
+
+  request<R = any>(method: string, params?: unknown, options?: BroadcastChannel.RequestOptions & { mode?: 'first' }): Promise<R>;
+  request<R = any>(method: string, params: unknown, options: BroadcastChannel.RequestOptions & { mode: 'all' }): Promise<Array<BroadcastChannel.Response<R>>>;
+  handle<P = any, R = any>(method: string, handler: ((params: P, sender: BroadcastChannel.Sender) => R | Promise<R>) | null): void;
+
+  close(): void;
+  static closeAll(channelName?: string): void;
+  /** true to record the messages exchanged with the other tabs ( see src/debug.js ). */
+  static debug: boolean;
+  static readonly inspector: BroadcastChannel.Inspector;
+  static getCompressionStats(): BroadcastChannel.CompressionStats;
+  static getJanitorStats(): BroadcastChannel.JanitorStats;
+  static createSharedStore<S extends object>(
+    channelName: string,
+    initialState?: S,
+    options?: BroadcastChannel.SharedStoreOptions
+  ): BroadcastChannel.SharedStore<S>;
+  static createLockManager(options?: BroadcastChannel.LockManagerOptions): LockManager;
+
+  addEventListener<K extends keyof BroadcastChannel.EventMap<T>>(
+    type: K,
+    listener: (this: BroadcastChannel<T>, ev: BroadcastChannel.EventMap<T>[K]) => any,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void;
+  removeEventListener<K extends keyof BroadcastChannel.EventMap<T>>(
+    type: K,
+    listener: (this: BroadcastChannel<T>, ev: BroadcastChannel.EventMap<T>[K]) => any,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | EventListenerOptions): void;
+}
+
+export = BroadcastChannel;
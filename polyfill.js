@@ -0,0 +1,1009 @@
+/**
+ @class BroadcastChannel
+ A simple BroadcastChannel polyfill that works with all major browsers.
+ Please refer to the official MDN documentation of the Broadcast Channel API.
+ @see <a href="https://developer.mozilla.org/en-US/docs/Web/API/Broadcast_Channel_API">Broadcast Channel API on MDN</a>
+ @author Alessandro Piana
+ @version 0.0.6
+ */
+
+/*
+  MIT License
+  Copyright (c) 2021 Alessandro Piana
+  Permission is hereby granted, free of charge, to any person obtaining a copy
+  of this software and associated documentation files (the "Software"), to deal
+  in the Software without restriction, including without limitation the rights
+  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  copies of the Software, and to permit persons to whom the Software is
+  furnished to do so, subject to the following conditions:
+  The above copyright notice and this permission notice shall be included in all
+  copies or substantial portions of the Software.
+  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  SOFTWARE.
+*/
+
+const { getRandomString, isEmpty, getTimestamp, createDOMException } = require('./src/utils');
+const { structuredCloneCodec } = require('./src/codec');
+const { resolveTransport, subscribe } = require('./src/transports');
+const { context, getOrigin } = require('./src/environment');
+const { createOrderingBuffer } = require('./src/ordering');
+const { createPresence } = require('./src/presence');
+const { createRpc } = require('./src/rpc');
+const { createHistory } = require('./src/history');
+const { matchTopic } = require('./src/topics');
+const { createEncryption } = require('./src/encryption');
+const { runPipeline } = require('./src/middleware');
+const { createValidator } = require('./src/schema');
+const { PROTOCOL_VERSION, createVersioning } = require('./src/versioning');
+const { createCompression, decompressEnvelope, getCompressionStats } = require('./src/compression');
+const { getJanitorStats } = require('./src/janitor');
+const { createFlowControl } = require('./src/flow-control');
+const { createAcks } = require('./src/acks');
+const { createSharedStore } = require('./src/store');
+const { createLockManager } = require('./src/locks');
+const { inspector } = require('./src/debug');
+
+  // Internal variables
+  let _channels = null; // List of channels
+  let _tabId = null; // Current window browser tab identifier (see IE problem, later)
+  const _prefix = 'polyBC_'; // prefix to identify channels.
+
+  /**
+   * Build the MessageEvent init dictionary, as done in the real BroadcastChannel API.
+   * NOTE: source is always null and ports are always empty for BroadcastChannel messages.
+   */
+  const buildResponse = data => {
+    return {
+      data,
+      lastEventId: '',
+      origin: getOrigin(context),
+      source: null
+    };
+  };
+
+  /**
+   * Creates a MessageEvent, falling back to initMessageEvent on engines (IE)
+   * that do not support the MessageEvent constructor.
+   * @param {String} type - 'message' or 'messageerror'.
+   * @param {Object} init - the MessageEvent init dictionary.
+   * @private
+   */
+  const createMessageEvent = (type, init) => {
+    try {
+      return new MessageEvent(type, init);
+    } catch(ex) {
+      const event = context.document.createEvent('MessageEvent');
+      event.initMessageEvent(type, false, false, init.data, init.origin, init.lastEventId, init.source);
+      return event;
+    }
+  };
+
+  /**
+   * Dispatches a message to a subscriber or, if the message is null ( it could not be read ), a messageerror.
+   * @param {_BroadcastChannel} sub - the receiving channel.
+   * @param {Object|null} message - the message init dictionary, with deserialized data.
+   * @param {Array} [errors] - the reasons of the error, exposed by the messageerror event.
+   * @private
+   */
+  const deliver = (sub, message, errors) => {
+    if (sub.closed) return;
+    if (message) {
+      sub.dispatchEvent(createMessageEvent('message', message));
+      return;
+    }
+    inspector.record('error', { channel: sub.channelName, bcId: sub.name, reason: errors.join('; ') });
+    const event = createMessageEvent('messageerror', buildResponse(null));
+    event.errors = errors;
+    sub.dispatchEvent(event);
+  };
+
+  /**
+   * Describes an envelope, for the inspector.
+   * @param {Object} envelope - the envelope.
+   * @param {Number} size - the size of the envelope, in bytes.
+   * @private
+   */
+  const describeEnvelope = (envelope, size) => ({
+    channel: String(envelope.channelId).substring(_prefix.length),
+    tabId: envelope.tabId,
+    bcId: envelope.bcId,
+    seq: envelope.seq,
+    size,
+    topic: envelope.topic,
+    internal: !!envelope.internal
+  });
+
+  /**
+   * Creates the error thrown when a closed channel is used, as the native API does.
+   * @param {String} method - the method called.
+   * @private
+   */
+  const createClosedError = method =>
+    createDOMException(`Failed to execute '${method}' on 'BroadcastChannel': Channel is closed`, 'InvalidStateError');
+
+  /**
+   * Returns the channels of the current tab with the given identifier, subscribed to the given transport.
+   * @private
+   */
+  const getSubscribers = (channelId, transport) =>
+    (_channels && _channels[channelId] || []).filter(sub => !transport || sub._transport.transport === transport);
+
+  /**
+   * Receives an envelope sent by another tab, through the transport layer.
+   * @param {String} raw - the serialized envelope.
+   * @param {String} [channelIdHint] - the channel identifier, if known by the transport.
+   * @param {Object} [transport] - the transport the envelope was received through.
+   * @returns {Boolean} true if the envelope was for a channel of the current tab.
+   * @private
+   */
+  const _onmsg = (raw, channelIdHint, transport) => {
+    let obj = null;
+
+    try {
+      obj = JSON.parse(raw);
+      if (!obj) {
+        throw new Error('Unreadable message');
+      }
+    } catch(ex) {
+      // The message cannot be deserialized: notify the channel with a messageerror.
+      if (channelIdHint) {
+        getSubscribers(channelIdHint, transport).forEach(sub => deliver(sub, null, ['The message could not be parsed']));
+      }
+      return false;
+    }
+
+    const subscribers = obj.channelId ? getSubscribers(obj.channelId, transport) : [];
+    // NOTE: Check on tab is done to prevent IE error
+    // (localStorage event is called even in the same tab :( )
+    if ((obj.tabId !== _tabId) && subscribers.length) {
+
+      // Batches are delivered as separate messages.
+      const envelopes = obj.batch || [obj];
+      if (inspector.enabled) {
+        envelopes.forEach(envelope => {
+          const size = (obj.batch ? JSON.stringify(envelope) : raw).length * 2;
+          inspector.record('received', describeEnvelope(envelope, size), envelope);
+        });
+      }
+      envelopes.forEach(envelope => subscribers.forEach(sub => sub._receive(envelope)));
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Creates a new BroadcastChannel
+   * @param {String} channelName - the channel name.
+   * @param {Object} [options] - polyfill specific options.
+   * @param {Object} [options.codec] - the codec used to serialize messages ( defaults to the structured clone codec ).
+   * @param {String|Object|Array} [options.transport] - the transport ( or list of transports, in order of preference )
+   * used to reach the other tabs. Defaults to ['native', 'localstorage', 'indexeddb'] ( ['native', 'memory'] in Node.js ).
+   * @param {Boolean|Object} [options.ordered] - delivers messages in the order they were sent by each sender, without duplicates.
+   * @param {Number} [options.ordered.window] - ms to wait for a missing message before delivering the following ones ( default 200 ).
+   * @param {Boolean|Object} [options.presence] - tracks the other members of the channel ( see getMembers ).
+   * @param {Number} [options.presence.heartbeat] - ms between two heartbeats ( default 2000 ).
+   * @param {Number} [options.presence.timeout] - ms without heartbeats after which a member is evicted ( default 3 heartbeats ).
+   * @param {Boolean|Object} [options.history] - records the sent messages in a history persisted in storage.
+   * @param {Number} [options.history.size] - maximum number of messages kept ( default 50 ).
+   * @param {Number} [options.history.ttl] - ms after which a message expires ( default 5 minutes ).
+   * @param {Number} [options.replay] - replays the last n messages of the history when the channel is created.
+   * @param {Number} [options.since] - replays the messages of the history sent after this timestamp.
+   * @param {Object} [options.encryption] - encrypts the messages sent to the other tabs ( AES-GCM ).
+   * @param {CryptoKey} [options.encryption.key] - the AES-GCM key.
+   * @param {String} [options.encryption.secret] - a secret shared by the tabs, from which the key is derived.
+   * @param {Function|Object} [options.schema] - validates the messages sent and received ( see src/schema.js ):
+   * a validator function, a JSON Schema, or a map of schemas by message type.
+   * @param {Boolean|Object} [options.compression] - compresses the large messages sent to the other tabs.
+   * @param {Number} [options.compression.threshold] - the size ( in characters ) from which a message is compressed ( default 1024 ).
+   * @param {String} [options.compression.method] - 'lz' ( default ) or 'deflate' ( CompressionStream ).
+   * @param {Boolean|Object} [options.batch] - batches the messages posted within a delay into a single write.
+   * @param {Number} [options.batch.delay] - ms to wait for other messages ( default 0: the messages posted in the same task ).
+   * @param {Number} [options.batch.size] - maximum number of messages in a batch ( default 100 ).
+   * @param {Function} [options.coalesce] - returns the key of a message ( from its data ): a message replaces the waiting
+   * message with the same key. undefined for the messages that must not be coalesced. Without batch, the messages
+   * posted in the same task are batched, so that they coalesce.
+   * @param {Object} [options.rateLimit] - limits the messages sent per second ( token bucket ).
+   * @param {Number} options.rateLimit.rate - messages per second.
+   * @param {Number} [options.rateLimit.burst] - messages that can be sent at once ( default rate ).
+   * @param {String} [options.rateLimit.policy] - 'queue' ( default ) or 'drop' the messages over the limit.
+   * @param {String} [options.version] - the version of the app, sent with the messages: the channel learns the versions
+   * of the other channels, and dispatches 'versionmismatch' events ( see getVersions and requestReload ).
+   * return {BroadcastChannel}
+   */
+  class _BroadcastChannel extends EventTarget {
+
+    static _polyfill = true; // Tells the native transport this is not the native implementation.
+
+    /**
+     * true to record the messages exchanged with the other tabs ( see src/debug.js ).
+     * @type {Boolean}
+     */
+    static get debug() {
+      return inspector.enabled;
+    }
+
+    static set debug(value) {
+      inspector.enabled = !!value;
+    }
+
+    /**
+     * The inspector of the messages recorded while debug is true ( see src/debug.js ).
+     * @type {Object}
+     */
+    static get inspector() {
+      return inspector;
+    }
+
+    /**
+     * Returns the statistics of the compression of the messages sent ( see src/compression.js ).
+     * @returns {Object} { messages, compressed, originalBytes, compressedBytes, savedBytes, ratio }
+     */
+    static getCompressionStats() {
+      return getCompressionStats();
+    }
+
+    /**
+     * Returns the statistics of the sweeps of the localStorage keys left behind ( see src/janitor.js ).
+     * @returns {Object} { runs, keysRemoved, bytesReclaimed, lastRun }
+     */
+    static getJanitorStats() {
+      return getJanitorStats();
+    }
+
+    /**
+     * Creates a state shared by the tabs ( see src/store.js ).
+     * @param {String} channelName - the name of the channel used by the store.
+     * @param {Object} [initialState] - the initial state.
+     * @param {Object} [options]
+     * @param {Boolean} [options.persist] - persists the state in localStorage, so that it survives reloads ( default true ).
+     * @param {Object} [options.channel] - the options of the channel ( see BroadcastChannel ).
+     */
+    static createSharedStore(channelName, initialState, options = {}) {
+      return createSharedStore(new _BroadcastChannel(channelName, options.channel), initialState, options);
+    }
+
+    /**
+     * Returns a lock manager shared by the tabs ( see src/locks.js ): navigator.locks where available.
+     * @param {Object} [options] - the options of the polyfill ( native: false to use it even where navigator.locks
+     * is available, leaseTimeout, applyDelay, retryInterval ).
+     */
+    static createLockManager(options) {
+      return createLockManager(_BroadcastChannel, options);
+    }
+
+    channelId = '';
+    channelName = '';
+    name = '';
+    closed = false;
+    _eventHandlers = {}; // onmessage / onmessageerror handlers, by event type.
+    _codec = structuredCloneCodec;
+    _transport = null; // Subscription to the transport layer.
+    _seq = 0; // Sequence number of the next message sent.
+    _ordering = null; // Reorder buffer, for ordered channels.
+    _internalListeners = []; // Listeners of the internal messages ( leader election, ... ).
+    _presence = null; // Presence subsystem, if enabled.
+    _rpc = null; // Request/response layer, created on first use.
+    _acks = null; // Acknowledgements layer, created on first use.
+    _history = null; // History of the sent messages, if enabled.
+    _subscriptions = []; // Topic subscriptions { pattern, handler }.
+    _middlewares = []; // Middlewares { outgoing, incoming }.
+    _encryption = null; // Encryption of the messages, if enabled.
+    _compression = null; // Compression of the messages, if enabled.
+    _unsealing = 0; // Number of envelopes being decrypted or decompressed.
+    _flow = null; // Flow control of the messages sent, if enabled.
+    _validate = null; // Validation of the messages, if a schema is given.
+    _version = undefined; // Version of the app.
+    _versioning = null; // Versioning subsystem, if a version is given.
+    _sendQueue = Promise.resolve(); // Keeps the order of the encrypted messages sent.
+    _receiveQueue = Promise.resolve(); // Keeps the order of the encrypted messages received.
+
+    constructor(channelName = '', options = {}) {
+      super();
+
+      this.channelName = channelName;
+      this._codec = options.codec || structuredCloneCodec;
+
+      if (options.schema) {
+        this._validate = createValidator(options.schema);
+      }
+
+      if (options.encryption) {
+        this._encryption = createEncryption(options.encryption, channelName);
+      }
+
+      if (options.batch || options.coalesce || options.rateLimit) {
+        this._flow = createFlowControl(options, envelopes => this._emit(envelopes));
+      }
+
+      if (options.compression) {
+        this._compression = createCompression(options.compression === true ? {} : options.compression);
+      }
+
+      if (options.ordered) {
+        this._ordering = createOrderingBuffer({
+          window: options.ordered.window || 200,
+          deliver: envelope => this._dispatch(envelope)
+        });
+      }
+
+      // Check if a transport is available.
+      const transport = resolveTransport(options.transport, context);
+      if (!transport) {
+        throw createDOMException('No transport is available to reach the other tabs.', 'NotSupportedError');
+      }
+
+      // Add custom prefix to Channel Name.
+      const _channelId = _prefix + channelName
+
+      this.channelId = _channelId;
+
+      _tabId = _tabId || getRandomString(); // Creates a new tab identifier, if necessary.
+
+      // Creates a sufficiently random name for the current instance of BC.
+      this.name = _channelId + '::::' + getRandomString() + getTimestamp();
+
+      // Subscribes to the transport ( the first subscription opens it ).
+      // NOTE: done before registering the channel, so that a failure leaves nothing behind.
+      this._transport = subscribe(transport, _channelId, context, _onmsg);
+
+      _channels = _channels || {}; // Initializes channels, if necessary.
+      _channels[_channelId] = _channels[_channelId] || [];
+
+      // Adds the current Broadcast Channel.
+      _channels[_channelId].push(this);
+
+      if (options.presence) {
+        this._presence = createPresence(this, options.presence === true ? {} : options.presence);
+      }
+
+      if (options.version !== undefined) {
+        this._version = String(options.version);
+        this._versioning = createVersioning(this, { version: this._version });
+      }
+
+      if (options.history) {
+        this._history = createHistory(channelName, options.history === true ? {} : options.history);
+      }
+      if (options.replay !== undefined || options.since !== undefined) {
+        const envelopes = (this._history || createHistory(channelName)).replay(options);
+        // Replays asynchronously, so that listeners can be added first.
+        setTimeout(() => envelopes.forEach(envelope => this._unseal(envelope, env => this._dispatch(env))), 0);
+      }
+    }
+
+    /**
+     * The identifier of the current tab.
+     * @type {String}
+     */
+    get tabId() {
+      return _tabId;
+    }
+
+    /**
+     * The number of bytes of the messages waiting to be sent ( batched or rate limited ).
+     * @type {Number}
+     */
+    get bufferedAmount() {
+      return this._flow ? this._flow.bufferedAmount : 0;
+    }
+
+    /**
+     * Returns the other members of the channel ( in any tab ), if presence is enabled.
+     * Listen to 'memberjoin' and 'memberleave' events to be notified of changes.
+     * @returns {Array} the members { id, tabId, joinedAt, lastSeen }.
+     */
+    getMembers() {
+      return this._presence ? this._presence.getMembers() : [];
+    }
+
+    /**
+     * Returns the versions of the other channels met so far, if a version is given.
+     * @returns {Array} the channels { id, tabId, protocol, version, lastSeen }.
+     */
+    getVersions() {
+      return this._versioning ? this._versioning.getVersions() : [];
+    }
+
+    /**
+     * Asks other channels to reload their page: they dispatch a cancelable 'reloadrequest' event, then reload.
+     * @param {String|Array} [target] - the channel names or tabIds. Defaults to the channels with an older version.
+     */
+    requestReload(target) {
+      if (this.closed) {
+        throw createClosedError('requestReload');
+      }
+      if (this._versioning) {
+        this._versioning.requestReload(target);
+      }
+    }
+
+    /**
+     * The onmessage event handler IDL attribute.
+     * @type {Function|null}
+     */
+    get onmessage() {
+      return this._getEventHandler('message');
+    }
+
+    set onmessage(handler) {
+      this._setEventHandler('message', handler);
+    }
+
+    /**
+     * The onmessageerror event handler IDL attribute.
+     * @type {Function|null}
+     */
+    get onmessageerror() {
+      return this._getEventHandler('messageerror');
+    }
+
+    set onmessageerror(handler) {
+      this._setEventHandler('messageerror', handler);
+    }
+
+    /**
+     * The onversionmismatch event handler: called with a CustomEvent, whose detail is the other channel
+     * { id, tabId, protocol, version, newer }.
+     * @type {Function|null}
+     */
+    get onversionmismatch() {
+      return this._getEventHandler('versionmismatch');
+    }
+
+    set onversionmismatch(handler) {
+      this._setEventHandler('versionmismatch', handler);
+    }
+
+    /**
+     * Returns the current event handler for the given event type.
+     * @param {String} type - the event type.
+     * @private
+     */
+    _getEventHandler(type) {
+      const entry = this._eventHandlers[type];
+      return entry ? entry.handler : null;
+    }
+
+    /**
+     * Sets an event handler, as the IDL event handler attributes do:
+     * the listener is registered when the handler is first set and removed when set to null,
+     * so replacing the handler keeps its position among the other listeners.
+     * @param {String} type - the event type.
+     * @param {Function|null} handler - the handler. Non-function values are treated as null.
+     * @private
+     */
+    _setEventHandler(type, handler) {
+      const value = typeof handler === 'function' ? handler : null;
+      const entry = this._eventHandlers[type];
+
+      if (entry && value) {
+        entry.handler = value;
+      } else if (entry) {
+        this.removeEventListener(type, entry.listener, false);
+        delete this._eventHandlers[type];
+      } else if (value) {
+        const newEntry = {
+          handler: value,
+          listener: ev => newEntry.handler.call(this, ev)
+        };
+        this._eventHandlers[type] = newEntry;
+        this.addEventListener(type, newEntry.listener, false);
+      }
+    }
+
+    /**
+     * Sends a request to the other channels, which respond with the handler registered with handle().
+     * @param {String} method - the method.
+     * @param {*} params - the parameters.
+     * @param {Object} [options]
+     * @param {Number} [options.timeout] - ms to wait for the responses ( default 5000 ).
+     * @param {String} [options.target] - the channel name or tabId that must handle the request.
+     * @param {String} [options.mode] - 'first' ( default ) resolves with the first response, 'all' with all of them.
+     * @returns {Promise} resolved with the result ( 'first' ), or with an array of { from, tabId, result | error } ( 'all' ).
+     */
+    request(method, params, options) {
+      if (this.closed) {
+        return Promise.reject(createClosedError('request'));
+      }
+      return this._getRpc().request(method, params, options);
+    }
+
+    /**
+     * Registers the handler of the requests for a method.
+     * @param {String} method - the method.
+     * @param {Function|null} handler - called with (params, { from, tabId }), may return a Promise. null removes it.
+     */
+    handle(method, handler) {
+      this._getRpc().handle(method, handler);
+    }
+
+    _getRpc() {
+      this._rpc = this._rpc || createRpc(this);
+      return this._rpc;
+    }
+
+    _getAcks() {
+      this._acks = this._acks || createAcks(this);
+      return this._acks;
+    }
+
+    /**
+     * Receives an envelope sent by another channel, ordering it if required.
+     * @param {Object} envelope - the envelope.
+     * @private
+     */
+    _receive(envelope) {
+      if (this._versioning) {
+        this._versioning.observe(envelope);
+      }
+      this._unseal(envelope, env => {
+        if (this._ordering) {
+          this._ordering.push(env);
+        } else {
+          this._dispatch(env);
+        }
+      });
+    }
+
+    /**
+     * Decrypts and decompresses an envelope, if needed, then calls the callback with it.
+     * Envelopes that cannot be decrypted ( tampered, encrypted with another key, or in clear on an encrypted channel )
+     * or decompressed are dispatched as messageerror.
+     * @param {Object} envelope - the envelope.
+     * @param {Function} callback - called with the decrypted envelope.
+     * @private
+     */
+    _unseal(envelope, callback) {
+      const onError = () => {
+        if (!envelope.internal) {
+          deliver(this, null, ['The message could not be decrypted or decompressed']);
+        }
+      };
+
+      // NOTE: envelopes sent by the current tab never leave the memory, so they are not encrypted.
+      const isClear = !envelope.encrypted && (!this._encryption || envelope.tabId === _tabId);
+      // Envelopes that can be handled synchronously still wait for the previous ones, to keep the order.
+      if (isClear && envelope.compressed !== 'deflate' && !this._unsealing) {
+        let env;
+        try {
+          env = envelope.compressed ? decompressEnvelope(envelope) : envelope;
+        } catch(ex) {
+          onError();
+          return;
+        }
+        callback(env);
+        return;
+      }
+
+      this._unsealing++;
+      this._receiveQueue = this._receiveQueue
+        .then(() => {
+          if (isClear) {
+            return envelope;
+          }
+          if (!this._encryption || !envelope.encrypted) {
+            throw new Error('Encryption mismatch');
+          }
+          return this._encryption.decryptEnvelope(envelope);
+        })
+        .then(env => (env.compressed ? decompressEnvelope(env) : env))
+        .then(callback, onError)
+        .catch(ex => setTimeout(() => { throw ex; }, 0))
+        .then(() => {
+          this._unsealing--;
+        });
+    }
+
+    /**
+     * Subscribes to the messages sent with a topic ( see postMessage ).
+     * NOTE: messages with a topic are not dispatched as message events.
+     * @param {String} pattern - the topic pattern: '*' matches one segment, '**' any number of segments ( e.g. 'cart.*' ).
+     * @param {Function} handler - called with (data, { topic, from, tabId }).
+     * @returns {Function} a function that removes the subscription.
+     */
+    subscribe(pattern, handler) {
+      const subscription = { pattern, handler };
+      this._subscriptions.push(subscription);
+      return () => {
+        const index = this._subscriptions.indexOf(subscription);
+        if (index > -1) {
+          this._subscriptions.splice(index, 1);
+        }
+      };
+    }
+
+    /**
+     * Dispatches an envelope: internal messages go to the internal listeners, messages with a topic
+     * to the matching subscriptions, the others to the message listeners.
+     * @param {Object} envelope - the envelope.
+     * @private
+     */
+    _dispatch(envelope) {
+      // Messages addressed to other channels are not even deserialized.
+      if (envelope.to && envelope.to.indexOf(this.name) < 0 && envelope.to.indexOf(_tabId) < 0) return;
+
+      // Acknowledges the messages that ask for it, and drops the copies of the messages already received.
+      if (envelope.ack && !envelope.internal && (this.closed || !this._getAcks().receive(envelope))) {
+        inspector.record('dropped', { ...describeEnvelope(envelope), reason: 'Copy of a message already received' });
+        return;
+      }
+
+      if (!envelope.internal) {
+        this._deliver(envelope);
+        return;
+      }
+      if (this.closed) return;
+
+      let data;
+      try {
+        data = this._deserialize(envelope);
+      } catch(ex) {
+        // Unreadable internal messages are ignored.
+        return;
+      }
+      this._internalListeners.slice().forEach(listener => listener(data, envelope));
+    }
+
+    /**
+     * Delivers a message: deserializes it, runs the incoming middlewares, and dispatches it as a message event
+     * or, if it has a topic, to the matching subscriptions.
+     * @param {Object} envelope - the envelope.
+     * @private
+     */
+    _deliver(envelope) {
+      const message = envelope.message;
+      const hasTopic = envelope.topic !== undefined;
+      const subscriptions = hasTopic ? this._subscriptions.filter(sub => matchTopic(sub.pattern, envelope.topic)) : [];
+      if (this.closed || (hasTopic && !subscriptions.length)) return;
+
+      let data;
+      try {
+        data = this._deserialize(envelope);
+      } catch(ex) {
+        deliver(this, null, ['The message could not be deserialized']);
+        return;
+      }
+
+      // Incoming middlewares run in reverse order, so that they unwrap what the outgoing ones have wrapped.
+      const steps = this._middlewares
+        .filter(middleware => typeof middleware.incoming === 'function')
+        .map(middleware => (env, next) => middleware.incoming(env, next))
+        .reverse();
+      const incoming = { data, topic: envelope.topic, from: envelope.bcId, tabId: envelope.tabId, origin: message.origin };
+
+      runPipeline(steps, incoming, env => {
+        const errors = this._getValidationErrors(env.data);
+        if (errors.length) {
+          deliver(this, null, errors);
+          return;
+        }
+        if (!hasTopic) {
+          deliver(this, { ...message, data: env.data });
+          return;
+        }
+        if (this.closed) return;
+        const info = { topic: env.topic, from: env.from, tabId: env.tabId };
+        subscriptions.forEach(sub => {
+          try {
+            sub.handler.call(this, env.data, info);
+          } catch(ex) {
+            // As for event listeners, an error in a handler does not prevent the others from being called.
+            setTimeout(() => { throw ex; }, 0);
+          }
+        });
+      }, ex => deliver(this, null, [`A middleware has thrown: ${ex && ex.message || ex}`]));
+    }
+
+    /**
+     * Deserializes the data of a message with the codec of the channel.
+     * NOTE: envelopes without a protocol version ( 0, sent by the previous versions of the polyfill ) carry
+     * their data as is, in the JSON of the envelope.
+     * @param {Object} envelope - the envelope.
+     * @returns {*} the data.
+     * @private
+     */
+    _deserialize(envelope) {
+      return envelope.protocol ? this._codec.deserialize(envelope.message.data) : envelope.message.data;
+    }
+
+    /**
+     * Validates the data of a message against the schema of the channel, if any.
+     * @param {*} data - the data.
+     * @returns {Array} the errors, empty if the data is valid.
+     * @private
+     */
+    _getValidationErrors(data) {
+      if (!this._validate) return [];
+      try {
+        return this._validate(data);
+      } catch(ex) {
+        return [String(ex && ex.message || ex)];
+      }
+    }
+
+    /**
+     * Adds a listener of the internal messages, used by the modules built on top of the channel.
+     * @param {Function} listener - called with (data, envelope).
+     * @private
+     */
+    _addInternalListener(listener) {
+      this._internalListeners.push(listener);
+    }
+
+    /**
+     * Removes a listener of the internal messages.
+     * @param {Function} listener - the listener.
+     * @private
+     */
+    _removeInternalListener(listener) {
+      const index = this._internalListeners.indexOf(listener);
+      if (index > -1) {
+        this._internalListeners.splice(index, 1);
+      }
+    }
+
+    /**
+     * Sends an internal message, which is not dispatched as a message event.
+     * @param {*} data - the data to be sent.
+     * @param {Object} [options] - see postMessage.
+     * @private
+     */
+    _postInternal(data, options) {
+      this._post(data, true, options);
+    }
+
+    /**
+     * Sends the message to different channels.
+     * @param {Object} data - the data to be sent ( actually, it can be any JS type ).
+     * @param {Object} [options] - polyfill specific options.
+     * @param {String|Array|Function} [options.to] - sends the message only to the given channel names or tabIds,
+     * or to the members ( see getMembers ) matching the given predicate.
+     * @param {String} [options.topic] - the topic: the message is delivered to the matching subscriptions ( see subscribe ).
+     * @param {Boolean} [options.ack] - asks the receivers to acknowledge the message.
+     * @param {Number} [options.timeout] - ms to wait for the acks, before re-sending the message ( default 1000 ).
+     * @param {Number} [options.retries] - number of times the message is re-sent to the members that have not
+     * acknowledged it ( default 2 ).
+     * @returns {Promise|undefined} with ack, a promise resolved with the tabIds that have acknowledged the message:
+     * once all the recipients ( or members, with presence ) have, otherwise after the timeout. It is rejected with
+     * a TimeoutError ( with the acked and missing recipients ) if they have not, after the retries.
+     * @throws {DOMException} DataError if the channel has a schema and the data does not match it.
+     */
+    postMessage(data, options = {}) {
+      if (this.closed) {
+        throw createClosedError('postMessage');
+      }
+
+      const errors = this._getValidationErrors(data);
+      if (errors.length) {
+        const error = createDOMException(
+          `Failed to execute 'postMessage' on 'BroadcastChannel': Invalid message ( ${errors.join('; ')} )`,
+          'DataError'
+        );
+        error.errors = errors;
+        throw error;
+      }
+
+      const steps = this._middlewares
+        .filter(middleware => typeof middleware.outgoing === 'function')
+        .map(middleware => (env, next) => middleware.outgoing(env, next));
+
+      const tracking = options.ack ? this._getAcks().track(getRandomString(10), options) : null;
+
+      try {
+        runPipeline(steps, { data, topic: options.topic, to: options.to }, env => {
+          // NOTE: a middleware may have delayed the message until after the channel was closed.
+          if (this.closed) return;
+          if (!tracking) {
+            this._post(env.data, false, { topic: env.topic, to: env.to });
+            return;
+          }
+          tracking.start(env.to, to => this._post(env.data, false, { topic: env.topic, to, ack: tracking.id }));
+        });
+      } catch(ex) {
+        // The error is thrown to the sender: the promise is dropped.
+        if (tracking) {
+          tracking.cancel();
+        }
+        throw ex;
+      }
+
+      return tracking ? tracking.promise : undefined;
+    }
+
+    /**
+     * Adds a middleware, which can transform, drop or delay the messages.
+     * Outgoing middlewares run in order of addition, incoming ones in reverse order.
+     * Errors thrown by incoming middlewares are dispatched as messageerror.
+     * @param {Object} middleware
+     * @param {Function} [middleware.outgoing] - called with ({ data, topic, to }, next) for each message sent.
+     * @param {Function} [middleware.incoming] - called with ({ data, topic, from, tabId, origin }, next) for each message received.
+     * @returns {Function} a function that removes the middleware.
+     */
+    use(middleware) {
+      this._middlewares.push(middleware);
+      return () => {
+        const index = this._middlewares.indexOf(middleware);
+        if (index > -1) {
+          this._middlewares.splice(index, 1);
+        }
+      };
+    }
+
+    /**
+     * Sends a message, or an internal message, to the other channels.
+     * @param {*} data - the data to be sent.
+     * @param {Boolean} internal - true for internal messages.
+     * @param {Object} [options] - see postMessage.
+     * @private
+     */
+    _post(data, internal, options = {}) {
+      if (this.closed) {
+        throw createClosedError('postMessage');
+      }
+
+      // Adds some properties to communicate among the tabs.
+      // NOTE: the codec throws a DataCloneError if data cannot be cloned, as the native API does.
+      const editedObj = {
+        channelId: this.channelId,
+        bcId: this.name,
+        tabId: _tabId,
+        protocol: PROTOCOL_VERSION,
+        message: buildResponse(this._codec.serialize(data))
+      };
+      if (this._version !== undefined) {
+        editedObj.appVersion = this._version;
+      }
+      if (options.to !== undefined) {
+        editedObj.to = typeof options.to === 'function' ?
+          this.getMembers().filter(options.to).map(member => member.id) :
+          [].concat(options.to);
+      }
+      if (options.topic !== undefined) {
+        editedObj.topic = String(options.topic);
+      }
+      if (options.ack) {
+        editedObj.ack = options.ack;
+      }
+      if (inspector.enabled) {
+        editedObj.sentAt = getTimestamp();
+      }
+      if (internal) {
+        editedObj.internal = true;
+      }
+
+      if (internal || !this._flow) {
+        this._emit([editedObj]);
+      } else if (!this._flow.push(editedObj, data)) {
+        inspector.record('dropped', { ...describeEnvelope(editedObj), reason: 'Rate limited' });
+      }
+    };
+
+    /**
+     * Sends envelopes to the other channels, in a single write to the transport.
+     * @param {Array} envelopes - the envelopes.
+     * @private
+     */
+    _emit(envelopes) {
+      // NOTE: sequence numbers are given when the messages are actually sent, as some of them may be dropped.
+      envelopes.forEach(envelope => {
+        envelope.seq = this._seq++;
+      });
+
+      // SAME-TAB communication.
+      // Messages are delivered asynchronously, and each subscriber deserializes its own copy of the data.
+      const subscribers = (_channels[this.channelId] || []).slice();
+      setTimeout(() => {
+        envelopes.forEach(envelope => subscribers.forEach(sub => {
+          // We don't send the message to ourselves.
+          if (sub.name === this.name) return;
+          sub._receive(envelope);
+        }));
+      }, 0);
+
+      // CROSS-TAB communication.
+      const compression = this._compression;
+      if (!this._encryption && !(compression && compression.async)) {
+        // NOTE: transport errors ( e.g. QuotaExceededError ) are thrown as they are.
+        this._send(compression ? envelopes.map(envelope => compression.compressEnvelope(envelope)) : envelopes);
+        return;
+      }
+      // Messages are compressed and encrypted asynchronously, and sent in order.
+      const seal = envelope => Promise.resolve(compression ? compression.compressEnvelope(envelope) : envelope)
+        .then(env => (this._encryption ? this._encryption.encryptEnvelope(env) : env));
+      this._sendQueue = this._sendQueue
+        .then(() => Promise.all(envelopes.map(seal)))
+        .then(sealed => this._send(sealed))
+        .catch(ex => setTimeout(() => { throw ex; }, 0));
+    }
+
+    /**
+     * Records the envelopes in the history ( if enabled ) and sends them to the other tabs.
+     * @param {Array} envelopes - the envelopes, sent as a batch if there are several.
+     * @private
+     */
+    _send(envelopes) {
+      if (this._history) {
+        envelopes.filter(envelope => !envelope.internal).forEach(envelope => this._history.record(envelope));
+      }
+      const raw = envelopes.length === 1 ?
+        envelopes[0] :
+        { channelId: this.channelId, tabId: _tabId, protocol: PROTOCOL_VERSION, batch: envelopes };
+      this._transport.post(JSON.stringify(raw));
+      if (inspector.enabled) {
+        envelopes.forEach(envelope => inspector.record('sent', describeEnvelope(envelope, JSON.stringify(envelope).length * 2)));
+      }
+    }
+
+    /**
+     * Closes a Broadcast channel.
+     */
+    close() {
+      if (this.closed) return;
+      if (this._presence) {
+        // Says goodbye while the channel is still open.
+        this._presence.close();
+      }
+      if (this._flow) {
+        // Sends the batched messages, and drops the rate limited ones.
+        this._flow.close();
+      }
+      this.closed = true;
+      if (this._versioning) {
+        this._versioning.close();
+      }
+      if (this._rpc) {
+        this._rpc.close();
+      }
+      if (this._acks) {
+        this._acks.close();
+      }
+      this._subscriptions = [];
+      this._middlewares = [];
+      if (this._ordering) {
+        this._ordering.clear();
+      }
+      const subscribers = _channels[this.channelId];
+      const index = subscribers.indexOf(this);
+      if (index > -1) {
+        subscribers.splice(index, 1);
+      }
+      if (!subscribers.length) {
+        delete _channels[this.channelId];
+      }
+      // If we have no channels, resets the list: the next channel starts from scratch.
+      if (isEmpty(_channels)) {
+        _channels = null;
+      }
+      // The last subscription to the transport also closes it.
+      // NOTE: as with the native API, the messages posted before closing are sent: the ones being compressed
+      // or encrypted are waited for.
+      const transport = this._transport;
+      if (this._encryption || (this._compression && this._compression.async)) {
+        this._sendQueue.then(() => transport.close());
+      } else {
+        transport.close();
+      }
+    };
+
+    /**
+     * Closes all the channels of the current tab ( or only the ones with the given name ),
+     * e.g. on SPA route teardown or hot module replacement.
+     * @param {String} [channelName] - the channel name.
+     */
+    static closeAll(channelName) {
+      if (!_channels) return;
+      const channelIds = channelName === undefined ? Object.keys(_channels) : [_prefix + channelName];
+      channelIds.forEach(channelId => {
+        (_channels && _channels[channelId] || []).slice().forEach(channel => channel.close());
+      });
+    }
+  }
+
+// NOTE: where available, the native BroadcastChannel is used as transport.
+// The polyfill is opt-in where the native BroadcastChannel is available ( see index.js ).
+module.exports = _BroadcastChannel;
@@ -0,0 +1,208 @@
+/**
+ * Delivery acknowledgements, for the messages posted with { ack: true }.
+ * The message carries an ack id: every channel receiving it answers with an internal message
+ * { context: 'ack', id }, addressed to the sender. The sender re-sends the message to the channels that
+ * have not acknowledged it; receivers recognize the copies by their ack id, and do not dispatch them again.
+ */
+const { getTimestamp, createDOMException } = require('./utils');
+
+// Ack ids of the messages received are kept for a while, to recognize the copies.
+const SEEN_TTL = 60000;
+
+class Acks {
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this._pending = {}; // Messages waiting for their acks, by ack id.
+    this._seen = {}; // Time of reception of the messages acknowledged, by ack id.
+    this._onInternal = (data, envelope) => this._handleMessage(data, envelope);
+    channel._addInternalListener(this._onInternal);
+  }
+
+  /**
+   * Tracks the acks of a message.
+   * @param {String} id - the ack id of the message.
+   * @param {Object} options
+   * @param {Number} [options.timeout] - ms to wait for the acks, before re-sending the message ( default 1000 ).
+   * @param {Number} [options.retries] - number of times the message is re-sent ( default 2 ).
+   * @returns {Object} { id, promise, start(to, send), cancel() }: start is called once the message can be sent,
+   * with its recipients ( see postMessage ) and a function sending it to the given recipients. cancel stops tracking
+   * a message that will not be sent, without settling the promise.
+   */
+  track(id, { timeout = 1000, retries = 2 } = {}) {
+    const createTimeoutError = (acked, missing) => {
+      const error = createDOMException(
+        `The message has not been acknowledged within ${timeout}ms, after ${retries} retries.`,
+        'TimeoutError'
+      );
+      error.acked = acked;
+      error.missing = missing;
+      return error;
+    };
+
+    let pending;
+    const promise = new Promise((resolve, reject) => {
+      pending = this._pending[id] = {
+        resolve,
+        reject,
+        acks: [], // { from, tabId }
+        expected: null, // The recipients, if known.
+        attempts: 0,
+        timer: null
+      };
+    });
+
+    // The message may never be sent ( e.g. dropped by a middleware ).
+    pending.timer = setTimeout(() => this._settle(id, createTimeoutError([], [])), timeout * (retries + 1));
+
+    const attempt = (to, send) => {
+      pending.attempts++;
+      send(to);
+      pending.timer = setTimeout(() => {
+        const missing = this._getMissing(pending);
+        if (missing ? !missing.length : pending.acks.length) {
+          this._settle(id);
+        } else if (pending.attempts <= retries) {
+          try {
+            attempt(missing || undefined, send);
+          } catch(ex) {
+            this._settle(id, ex);
+          }
+        } else {
+          this._settle(id, createTimeoutError(this._getTabIds(pending), missing || []));
+        }
+      }, timeout);
+    };
+
+    const cancel = () => {
+      clearTimeout(pending.timer);
+      delete this._pending[id];
+    };
+
+    return {
+      id,
+      promise,
+      start: (to, send) => {
+        if (!this._pending[id]) return;
+        clearTimeout(pending.timer);
+        pending.expected = this._getRecipients(to);
+        if (pending.expected && !pending.expected.length) {
+          // Nobody to wait for.
+          this._settle(id);
+          return;
+        }
+        try {
+          attempt(to, send);
+        } catch(ex) {
+          // The error is thrown to the sender: the promise is dropped.
+          cancel();
+          throw ex;
+        }
+      },
+      cancel
+    };
+  }
+
+  /**
+   * Acknowledges a message received.
+   * @param {Object} envelope - the envelope, with an ack id.
+   * @returns {Boolean} false if the message is a copy of a message already received.
+   */
+  receive(envelope) {
+    const now = getTimestamp();
+    const isCopy = this._seen.hasOwnProperty(envelope.ack);
+    this._seen[envelope.ack] = now;
+    Object.keys(this._seen).forEach(id => {
+      if (now - this._seen[id] > SEEN_TTL) {
+        delete this._seen[id];
+      }
+    });
+
+    this.channel._postInternal({ context: 'ack', id: envelope.ack }, { to: envelope.bcId });
+    return !isCopy;
+  }
+
+  /**
+   * Rejects the messages waiting for their acks.
+   */
+  close() {
+    this.channel._removeInternalListener(this._onInternal);
+    Object.keys(this._pending).forEach(id => {
+      this._settle(id, createDOMException('The channel has been closed.', 'InvalidStateError'));
+    });
+    this._seen = {};
+  }
+
+  /**
+   * Returns the channel names or tabIds of the recipients of a message, null if unknown.
+   * Without recipients, the message is for all the members, if presence is enabled.
+   * @private
+   */
+  _getRecipients(to) {
+    if (typeof to === 'function') {
+      return this.channel.getMembers().filter(to).map(member => member.id);
+    }
+    if (to !== undefined) {
+      return [].concat(to);
+    }
+    const members = this.channel.getMembers();
+    return members.length ? members.map(member => member.id) : null;
+  }
+
+  /**
+   * Returns the recipients that have not acknowledged the message, null if the recipients are unknown.
+   * @private
+   */
+  _getMissing(pending) {
+    if (!pending.expected) return null;
+    return pending.expected.filter(recipient => !pending.acks.some(ack => ack.from === recipient || ack.tabId === recipient));
+  }
+
+  _getTabIds(pending) {
+    const tabIds = [];
+    pending.acks.forEach(ack => {
+      if (tabIds.indexOf(ack.tabId) < 0) {
+        tabIds.push(ack.tabId);
+      }
+    });
+    return tabIds;
+  }
+
+  _settle(id, error) {
+    const pending = this._pending[id];
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    delete this._pending[id];
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(this._getTabIds(pending));
+    }
+  }
+
+  _handleMessage(data, envelope) {
+    if (!data || data.context !== 'ack') return;
+    const pending = this._pending[data.id];
+    if (!pending || pending.acks.some(ack => ack.from === envelope.bcId)) return;
+
+    pending.acks.push({ from: envelope.bcId, tabId: envelope.tabId });
+    const missing = this._getMissing(pending);
+    if (missing && !missing.length) {
+      this._settle(data.id);
+    }
+  }
+}
+
+/**
+ * Creates the acknowledgements layer of a channel.
+ * @param {_BroadcastChannel} channel - the channel.
+ * @returns {Acks}
+ */
+const createAcks = channel => new Acks(channel);
+
+module.exports = {
+  createAcks
+};
@@ -0,0 +1,103 @@
+/**
+ * Chunking of large messages.
+ * A message is split into chunks sharing the same message id; each chunk carries its sequence number,
+ * the number of chunks and the checksum of the whole message, so that the receiver can reassemble and verify it.
+ */
+const { getRandomString } = require('./utils');
+
+/**
+ * 32 bit FNV-1a hash of a string, as hex.
+ * @param {String} str - the string.
+ */
+const checksum = str => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    // hash * 16777619 ( FNV prime ), without overflowing.
+    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+/**
+ * Splits a message into chunks.
+ * @param {String} raw - the message.
+ * @param {Number} chunkSize - the maximum length of a chunk.
+ * @returns {Array} the chunks { id, seq, total, checksum, data }.
+ */
+const splitMessage = (raw, chunkSize) => {
+  const id = getRandomString(10);
+  const total = Math.max(1, Math.ceil(raw.length / chunkSize));
+  const sum = checksum(raw);
+  const chunks = [];
+  for (let seq = 0; seq < total; seq++) {
+    chunks.push({ id, seq, total, checksum: sum, data: raw.substr(seq * chunkSize, chunkSize) });
+  }
+  return chunks;
+};
+
+/**
+ * Creates a reassembler, collecting chunks until their message is complete.
+ * @param {Object} options
+ * @param {Number} options.timeout - ms after which an incomplete message is discarded.
+ * @param {Function} options.onMessage - called with (raw, channelId) when a message is complete and valid.
+ * @param {Function} options.onError - called with (channelId) when a message is corrupted or incomplete.
+ */
+const createReassembler = ({ timeout, onMessage, onError }) => {
+  let pending = {}; // Incomplete messages, by message id.
+
+  const discard = id => {
+    clearTimeout(pending[id].timer);
+    delete pending[id];
+  };
+
+  return {
+    /**
+     * Adds a chunk.
+     * @param {Object} chunk - the chunk, as returned by splitMessage.
+     * @param {String} channelId - the channel identifier.
+     */
+    add(chunk, channelId) {
+      let entry = pending[chunk.id];
+      if (!entry) {
+        entry = pending[chunk.id] = {
+          parts: [],
+          received: 0,
+          timer: setTimeout(() => {
+            discard(chunk.id);
+            onError(channelId);
+          }, timeout)
+        };
+      }
+
+      // Duplicated chunks are ignored.
+      if (entry.parts[chunk.seq] !== undefined) return;
+      entry.parts[chunk.seq] = chunk.data;
+      entry.received++;
+
+      if (entry.received === chunk.total) {
+        discard(chunk.id);
+        const raw = entry.parts.join('');
+        if (checksum(raw) === chunk.checksum) {
+          onMessage(raw, channelId);
+        } else {
+          onError(channelId);
+        }
+      }
+    },
+
+    /**
+     * Discards all the incomplete messages.
+     */
+    clear() {
+      Object.keys(pending).forEach(discard);
+      pending = {};
+    }
+  };
+};
+
+module.exports = {
+  checksum,
+  splitMessage,
+  createReassembler
+};
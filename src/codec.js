@@ -0,0 +1,222 @@
+/**
+ * Codecs used to serialize messages sent across tabs.
+ * A codec is an object exposing serialize(value) -> String and deserialize(String) -> value.
+ * NOTE: every tab listening on a channel must use the same codec.
+ */
+const { createDOMException, toBase64, fromBase64 } = require('./utils');
+
+// Global object, to look up the constructors of the cloned types.
+const root = typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : window);
+
+// Error constructors that survive a structured clone; any other error becomes an Error.
+const ERROR_TYPES = ['Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'];
+
+const VIEW_TYPES = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+  'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'DataView'
+];
+
+const createDataCloneError = what => createDOMException(`${what} could not be cloned.`, 'DataCloneError');
+
+/**
+ * Numbers JSON cannot represent (NaN, Infinity, -0) are tagged.
+ * @private
+ */
+const encodeNumber = value => {
+  if (value !== value || value === Infinity || value === -Infinity) {
+    return { t: 'n', v: String(value) };
+  }
+  if (value === 0 && 1 / value < 0) {
+    return { t: 'n', v: '-0' };
+  }
+  return value;
+};
+
+const getFlags = regexp => {
+  const str = String(regexp);
+  return str.slice(str.lastIndexOf('/') + 1);
+};
+
+/**
+ * Converts a value into a JSON-safe tree of tagged nodes, following the structured clone algorithm.
+ * Every object gets an id, so that repeated references and cycles are preserved.
+ * @param {*} value - the value to encode.
+ * @throws {DOMException} DataCloneError if the value (or part of it) cannot be cloned.
+ */
+const encode = value => {
+  const seen = new Map();
+  let nextId = 0;
+
+  const encodeProps = obj => {
+    const props = {};
+    Object.keys(obj).forEach(key => {
+      props[key] = walk(obj[key]);
+    });
+    return props;
+  };
+
+  const walk = value => {
+    const type = typeof value;
+
+    if (value === null || type === 'boolean' || type === 'string') return value;
+    if (type === 'number') return encodeNumber(value);
+    if (type === 'undefined') return { t: 'u' };
+    if (type === 'bigint') return { t: 'bi', v: value.toString() };
+    if (type !== 'object') {
+      // Functions and symbols.
+      throw createDataCloneError(`A ${type}`);
+    }
+
+    if (seen.has(value)) return { t: 'r', v: seen.get(value) };
+
+    const i = nextId++;
+    seen.set(value, i);
+
+    const tag = Object.prototype.toString.call(value).slice(8, -1);
+
+    if (VIEW_TYPES.indexOf(tag) > -1) {
+      return {
+        t: 'ta',
+        i,
+        c: tag,
+        b: walk(value.buffer),
+        o: value.byteOffset,
+        l: tag === 'DataView' ? value.byteLength : value.length
+      };
+    }
+
+    switch (tag) {
+      case 'Boolean': return { t: 'B', i, v: value.valueOf() };
+      case 'Number': return { t: 'N', i, v: encodeNumber(value.valueOf()) };
+      case 'String': return { t: 'S', i, v: value.valueOf() };
+      case 'BigInt': return { t: 'BI', i, v: value.valueOf().toString() };
+      case 'Date': return { t: 'd', i, v: encodeNumber(value.getTime()) };
+      case 'RegExp': return { t: 're', i, v: value.source, f: getFlags(value) };
+      case 'ArrayBuffer': return { t: 'ab', i, v: toBase64(value) };
+      case 'Error': return {
+        t: 'e',
+        i,
+        n: ERROR_TYPES.indexOf(value.name) > -1 ? value.name : 'Error',
+        m: String(value.message),
+        s: value.stack
+      };
+      case 'Map': {
+        const entries = [];
+        value.forEach((v, k) => entries.push([walk(k), walk(v)]));
+        return { t: 'm', i, v: entries };
+      }
+      case 'Set': {
+        const entries = [];
+        value.forEach(v => entries.push(walk(v)));
+        return { t: 's', i, v: entries };
+      }
+      case 'Array': return { t: 'a', i, l: value.length, v: encodeProps(value) };
+      case 'Object':
+      case 'Arguments':
+        return { t: 'o', i, v: encodeProps(value) };
+      default:
+        // Platform objects (DOM nodes, Blobs, Promises, WeakMaps...) are not cloneable.
+        throw createDataCloneError(`An object of type ${tag}`);
+    }
+  };
+
+  return walk(value);
+};
+
+/**
+ * Rebuilds a value from the tree produced by encode().
+ * @param {*} node - the encoded tree.
+ */
+const decode = node => {
+  const refs = {};
+
+  const decodeProps = (target, props) => {
+    Object.keys(props).forEach(key => {
+      // defineProperty prevents keys such as __proto__ from altering the prototype.
+      Object.defineProperty(target, key, {
+        value: walk(props[key]),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    });
+    return target;
+  };
+
+  const walk = node => {
+    if (node === null || typeof node !== 'object') return node;
+
+    let result;
+    switch (node.t) {
+      case 'n': return Number(node.v);
+      case 'u': return undefined;
+      case 'bi': return BigInt(node.v);
+      case 'r': return refs[node.v];
+      case 'B': result = new Boolean(node.v); break;
+      case 'N': result = new Number(walk(node.v)); break;
+      case 'S': result = new String(node.v); break;
+      case 'BI': result = Object(BigInt(node.v)); break;
+      case 'd': result = new Date(walk(node.v)); break;
+      case 're': result = new RegExp(node.v, node.f); break;
+      case 'ab': result = fromBase64(node.v); break;
+      case 'ta': result = new root[node.c](walk(node.b), node.o, node.l); break;
+      case 'e': {
+        const ErrorType = root[ERROR_TYPES.indexOf(node.n) > -1 ? node.n : 'Error'];
+        result = new ErrorType(node.m);
+        if (node.s !== undefined) {
+          result.stack = node.s;
+        }
+        break;
+      }
+      case 'm':
+        result = refs[node.i] = new Map();
+        node.v.forEach(entry => result.set(walk(entry[0]), walk(entry[1])));
+        return result;
+      case 's':
+        result = refs[node.i] = new Set();
+        node.v.forEach(entry => result.add(walk(entry)));
+        return result;
+      case 'a':
+        result = refs[node.i] = new Array(node.l);
+        return decodeProps(result, node.v);
+      case 'o':
+        result = refs[node.i] = {};
+        return decodeProps(result, node.v);
+      default:
+        throw new TypeError(`Unknown type tag: ${node.t}`);
+    }
+    refs[node.i] = result;
+    return result;
+  };
+
+  return walk(node);
+};
+
+/**
+ * Default codec: reproduces the structured clone semantics of the native BroadcastChannel.
+ */
+const structuredCloneCodec = {
+  serialize: value => JSON.stringify(encode(value)),
+  deserialize: str => decode(JSON.parse(str))
+};
+
+/**
+ * Plain JSON codec, as used by the previous versions of the polyfill.
+ */
+const jsonCodec = {
+  serialize: value => {
+    try {
+      return JSON.stringify(value);
+    } catch(ex) {
+      throw createDataCloneError('The message');
+    }
+  },
+  deserialize: str => (str === undefined ? undefined : JSON.parse(str))
+};
+
+module.exports = {
+  encode,
+  decode,
+  structuredCloneCodec,
+  jsonCodec
+};
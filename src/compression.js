@@ -0,0 +1,309 @@
+/**
+ * Compression of the messages sent to the other tabs, to save storage quota.
+ * Messages larger than a threshold are compressed with one of the methods:
+ * - 'lz' ( default ): LZ-based compression into a UTF-16 string ( 15 bits per character ), synchronous;
+ * - 'deflate': CompressionStream, encoded in base64. Asynchronous, falls back to 'lz' where it is not available.
+ * The method is written in the envelope ( compressed: 'lz' | 'deflate' ), so any channel can decompress it.
+ */
+const { toBase64, fromBase64 } = require('./utils');
+
+// Cumulative statistics of the current tab.
+const stats = {
+  messages: 0,
+  compressed: 0,
+  originalBytes: 0,
+  compressedBytes: 0
+};
+
+// Strings are stored as UTF-16.
+const getBytes = str => str.length * 2;
+
+/**
+ * LZ compression into a stream of codes of growing size, packed into characters of bitsPerChar bits.
+ * Characters are added to the dictionary the first time they appear, as literals of 8 or 16 bits.
+ * Codes 0 and 1 introduce the literals, 2 marks the end of the stream.
+ * @private
+ */
+const lzCompress = (input, bitsPerChar, toChar) => {
+  const dictionary = new Map();
+  const literals = new Map(); // Characters in the dictionary, not written yet.
+  const output = [];
+  let w = '';
+  let enlargeIn = 2;
+  let dictSize = 3;
+  let numBits = 2;
+  let value = 0;
+  let position = 0;
+
+  const writeBits = (bits, count) => {
+    for (let i = 0; i < count; i++) {
+      value = (value << 1) | (bits & 1);
+      if (position === bitsPerChar - 1) {
+        position = 0;
+        output.push(toChar(value));
+        value = 0;
+      } else {
+        position++;
+      }
+      bits >>= 1;
+    }
+  };
+
+  const grow = () => {
+    enlargeIn--;
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  };
+
+  const writeWord = word => {
+    if (literals.has(word)) {
+      const code = word.charCodeAt(0);
+      if (code < 256) {
+        writeBits(0, numBits);
+        writeBits(code, 8);
+      } else {
+        writeBits(1, numBits);
+        writeBits(code, 16);
+      }
+      grow();
+      literals.delete(word);
+    } else {
+      writeBits(dictionary.get(word), numBits);
+    }
+    grow();
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input.charAt(i);
+    if (!dictionary.has(c)) {
+      dictionary.set(c, dictSize++);
+      literals.set(c, true);
+    }
+    const wc = w + c;
+    if (dictionary.has(wc)) {
+      w = wc;
+    } else {
+      writeWord(w);
+      dictionary.set(wc, dictSize++);
+      w = c;
+    }
+  }
+  if (w !== '') {
+    writeWord(w);
+  }
+  writeBits(2, numBits);
+
+  // Flushes the last character.
+  while (position !== 0) {
+    value <<= 1;
+    if (position === bitsPerChar - 1) {
+      output.push(toChar(value));
+      break;
+    }
+    position++;
+  }
+  return output.join('');
+};
+
+/**
+ * Reverses lzCompress.
+ * @returns {String|null} the decompressed string, null if the input is corrupted.
+ * @private
+ */
+const lzDecompress = (length, bitsPerChar, getValue) => {
+  const resetValue = Math.pow(2, bitsPerChar - 1);
+  const dictionary = [0, 1, 2];
+  const result = [];
+  let enlargeIn = 4;
+  let dictSize = 4;
+  let numBits = 3;
+  let index = 0;
+  let value = getValue(0);
+  let position = resetValue;
+
+  const readBits = count => {
+    let bits = 0;
+    for (let i = 0, power = 1; i < count; i++, power <<= 1) {
+      const bit = value & position;
+      position >>= 1;
+      if (position === 0) {
+        position = resetValue;
+        value = getValue(++index);
+      }
+      if (bit) {
+        bits |= power;
+      }
+    }
+    return bits;
+  };
+
+  let w;
+  switch (readBits(2)) {
+    case 0: w = String.fromCharCode(readBits(8)); break;
+    case 1: w = String.fromCharCode(readBits(16)); break;
+    case 2: return '';
+    default: return null;
+  }
+  dictionary[3] = w;
+  result.push(w);
+
+  while (index <= length) {
+    let code = readBits(numBits);
+    if (code === 0 || code === 1) {
+      dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+      code = dictSize - 1;
+      enlargeIn--;
+    } else if (code === 2) {
+      return result.join('');
+    }
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+
+    let entry;
+    if (typeof dictionary[code] === 'string') {
+      entry = dictionary[code];
+    } else if (code === dictSize) {
+      entry = w + w.charAt(0);
+    } else {
+      return null;
+    }
+    result.push(entry);
+    dictionary[dictSize++] = w + entry.charAt(0);
+    enlargeIn--;
+    w = entry;
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  }
+  // The end of the stream is missing.
+  return null;
+};
+
+/**
+ * Compresses a string into a UTF-16 string, safe to be stored in localStorage
+ * ( characters from U+0020 to U+801F: no control characters, no surrogates ).
+ * @param {String} str - the string.
+ * @returns {String}
+ */
+const compressToUTF16 = str => lzCompress(str, 15, value => String.fromCharCode(value + 32));
+
+/**
+ * Decompresses a string compressed with compressToUTF16.
+ * @param {String} str - the compressed string.
+ * @returns {String|null} the string, null if the input is corrupted.
+ */
+const decompressFromUTF16 = str => lzDecompress(str.length, 15, i => str.charCodeAt(i) - 32);
+
+const isDeflateSupported = () => typeof CompressionStream === 'function' &&
+  typeof DecompressionStream === 'function' && typeof Response === 'function' && typeof Blob === 'function';
+
+const pipeThrough = (bytes, stream) => new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+
+const deflate = str => pipeThrough(new TextEncoder().encode(str), new CompressionStream('deflate'))
+  .then(buffer => toBase64(buffer));
+
+const inflate = str => pipeThrough(new Uint8Array(fromBase64(str)), new DecompressionStream('deflate'))
+  .then(buffer => new TextDecoder().decode(buffer));
+
+/**
+ * Decompresses the message of an envelope.
+ * @param {Object} envelope - the envelope, with a compressed flag.
+ * @returns {Object|Promise} the decompressed envelope ( a Promise for 'deflate' ).
+ * @throws {Error} if the message cannot be decompressed.
+ */
+const decompressEnvelope = envelope => {
+  const withData = data => {
+    const decompressed = { ...envelope, message: { ...envelope.message, data } };
+    delete decompressed.compressed;
+    return decompressed;
+  };
+
+  if (envelope.compressed === 'deflate') {
+    if (!isDeflateSupported()) {
+      return Promise.reject(new Error('DecompressionStream is not available'));
+    }
+    return inflate(envelope.message.data).then(withData);
+  }
+  const data = envelope.compressed === 'lz' ? decompressFromUTF16(envelope.message.data) : null;
+  if (data === null) {
+    throw new Error('The message could not be decompressed');
+  }
+  return withData(data);
+};
+
+/**
+ * Creates the compression of the messages of a channel.
+ * @param {Object} options
+ * @param {Number} [options.threshold] - the size ( in characters ) from which a message is compressed ( default 1024 ).
+ * @param {String} [options.method] - 'lz' ( default ) or 'deflate'.
+ */
+const createCompression = ({ threshold = 1024, method = 'lz' } = {}) => {
+  const useDeflate = method === 'deflate' && isDeflateSupported();
+
+  const record = (original, compressed) => {
+    stats.messages++;
+    stats.originalBytes += getBytes(original);
+    stats.compressedBytes += getBytes(compressed);
+    if (compressed !== original) {
+      stats.compressed++;
+    }
+  };
+
+  // Keeps the compressed data only if it is smaller.
+  const toEnvelope = (envelope, data, flag) => {
+    const original = envelope.message.data;
+    if (data.length >= original.length) {
+      record(original, original);
+      return envelope;
+    }
+    record(original, data);
+    return { ...envelope, compressed: flag, message: { ...envelope.message, data } };
+  };
+
+  return {
+    /**
+     * true if the compression is asynchronous.
+     * @type {Boolean}
+     */
+    async: useDeflate,
+
+    /**
+     * Compresses the message of an envelope, if it is larger than the threshold.
+     * @param {Object} envelope - the envelope.
+     * @returns {Object|Promise} the envelope ( a Promise if the compression is asynchronous ).
+     */
+    compressEnvelope(envelope) {
+      const data = envelope.message.data;
+      if (typeof data !== 'string' || data.length < threshold) {
+        return useDeflate ? Promise.resolve(envelope) : envelope;
+      }
+      if (useDeflate) {
+        return deflate(data).then(compressed => toEnvelope(envelope, compressed, 'deflate'));
+      }
+      return toEnvelope(envelope, compressToUTF16(data), 'lz');
+    }
+  };
+};
+
+/**
+ * Returns the statistics of the compression of the messages sent by the current tab.
+ * @returns {Object} { messages, compressed, originalBytes, compressedBytes, savedBytes, ratio }
+ */
+const getCompressionStats = () => ({
+  ...stats,
+  savedBytes: stats.originalBytes - stats.compressedBytes,
+  ratio: stats.originalBytes ? stats.compressedBytes / stats.originalBytes : 1
+});
+
+module.exports = {
+  compressToUTF16,
+  decompressFromUTF16,
+  createCompression,
+  decompressEnvelope,
+  getCompressionStats
+};
@@ -0,0 +1,117 @@
+/**
+ * Inspector of the messages exchanged with the other tabs, enabled with BroadcastChannel.debug = true.
+ * Every envelope sent, received or dropped, and every messageerror, is recorded in a ring buffer,
+ * along with counters. The entries are flat objects, to be displayed with console.table ( see dump ).
+ */
+const { getTimestamp } = require('./utils');
+
+const DEFAULT_SIZE = 500;
+
+let entries = [];
+let counters;
+
+const resetCounters = () => {
+  counters = {
+    sent: 0,
+    received: 0,
+    dropped: 0,
+    errors: 0,
+    bytesSent: 0,
+    bytesReceived: 0,
+    latency: { count: 0, average: 0, max: 0 }
+  };
+};
+resetCounters();
+
+const inspector = {
+
+  /**
+   * true to record the messages.
+   * @type {Boolean}
+   */
+  enabled: false,
+
+  /**
+   * Maximum number of entries kept: the oldest ones are discarded.
+   * @type {Number}
+   */
+  size: DEFAULT_SIZE,
+
+  /**
+   * Records an entry.
+   * @param {String} type - 'sent', 'received', 'dropped' or 'error'.
+   * @param {Object} info - { channel, tabId, bcId, seq, size, topic, internal, reason }.
+   * @param {Object} [envelope] - the envelope, from which the latency of the received messages is computed.
+   */
+  record(type, info, envelope) {
+    if (!inspector.enabled) return;
+    const now = getTimestamp();
+    const entry = { time: now, type, ...info };
+
+    if (type === 'sent') {
+      counters.sent++;
+      counters.bytesSent += info.size || 0;
+    } else if (type === 'received') {
+      counters.received++;
+      counters.bytesReceived += info.size || 0;
+      if (envelope && envelope.sentAt) {
+        const latency = entry.latency = now - envelope.sentAt;
+        const stats = counters.latency;
+        stats.average = (stats.average * stats.count + latency) / (stats.count + 1);
+        stats.count++;
+        stats.max = Math.max(stats.max, latency);
+      }
+    } else if (type === 'dropped') {
+      counters.dropped++;
+    } else if (type === 'error') {
+      counters.errors++;
+    }
+
+    entries.push(entry);
+    if (entries.length > inspector.size) {
+      entries.splice(0, entries.length - inspector.size);
+    }
+  },
+
+  /**
+   * Returns the entries recorded, oldest first.
+   * @param {Function} [filter] - keeps the entries for which it returns true.
+   * @returns {Array} the entries { time, type, channel, tabId, bcId, seq, size, topic, internal, latency, reason }.
+   */
+  getEntries(filter) {
+    return entries.filter(entry => !filter || filter(entry)).map(entry => ({ ...entry }));
+  },
+
+  /**
+   * Returns the counters.
+   * @returns {Object} { sent, received, dropped, errors, bytesSent, bytesReceived, latency: { count, average, max } }
+   */
+  getCounters() {
+    return { ...counters, latency: { ...counters.latency } };
+  },
+
+  /**
+   * Displays the entries with console.table.
+   * @param {Function} [filter] - see getEntries.
+   * @returns {Array} the entries displayed.
+   */
+  dump(filter) {
+    const list = inspector.getEntries(filter);
+    if (typeof console !== 'undefined' && typeof console.table === 'function') {
+      console.table(list);
+    }
+    return list;
+  },
+
+  /**
+   * Removes the entries and resets the counters.
+   */
+  clear() {
+    entries = [];
+    resetCounters();
+  }
+};
+
+module.exports = {
+  inspector
+};
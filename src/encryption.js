@@ -0,0 +1,91 @@
+/**
+ * End-to-end encryption of the messages sent to the other tabs, with WebCrypto AES-GCM.
+ * The message part of the envelope is encrypted; the routing fields stay in clear, but are authenticated
+ * as additional data, so that a tampered envelope cannot be decrypted.
+ */
+const { createDOMException, toBase64, fromBase64 } = require('./utils');
+const { context } = require('./environment');
+
+/**
+ * Creates the encryption of a channel.
+ * @param {Object} options
+ * @param {CryptoKey} [options.key] - an AES-GCM key.
+ * @param {String} [options.secret] - a secret shared by the tabs, from which the key is derived ( PBKDF2 ).
+ * @param {String} [options.salt] - the salt of the key derivation ( defaults to the channel name ).
+ * @param {Number} [options.iterations] - the iterations of the key derivation.
+ * @param {String} channelName - the channel name.
+ * @throws {DOMException} NotSupportedError if WebCrypto is not available.
+ */
+const createEncryption = ({ key, secret, salt, iterations = 100000 }, channelName) => {
+  const crypto = context.crypto;
+  if (!crypto || !crypto.subtle) {
+    throw createDOMException('WebCrypto is not available.', 'NotSupportedError');
+  }
+  if (!key && !secret) {
+    throw new TypeError('The encryption option requires a key or a secret.');
+  }
+
+  const subtle = crypto.subtle;
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  const keyPromise = key ?
+    Promise.resolve(key) :
+    subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey']).then(baseKey => subtle.deriveKey(
+      { name: 'PBKDF2', salt: encoder.encode(salt || `polyBC_${channelName}`), iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    ));
+
+  // The routing fields, authenticated along with the message.
+  const getAdditionalData = envelope => encoder.encode(JSON.stringify([
+    envelope.channelId, envelope.bcId, envelope.tabId, envelope.seq, envelope.to, envelope.topic, !!envelope.internal
+  ]));
+
+  return {
+    /**
+     * Encrypts the message of an envelope.
+     * @param {Object} envelope - the envelope.
+     * @returns {Promise} resolved with the encrypted envelope.
+     */
+    encryptEnvelope(envelope) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      return keyPromise
+        .then(aesKey => subtle.encrypt(
+          { name: 'AES-GCM', iv, additionalData: getAdditionalData(envelope) },
+          aesKey,
+          encoder.encode(JSON.stringify(envelope.message))
+        ))
+        .then(ciphertext => ({
+          ...envelope,
+          encrypted: true,
+          message: { iv: toBase64(iv.buffer), data: toBase64(ciphertext) }
+        }));
+    },
+
+    /**
+     * Decrypts and authenticates the message of an envelope.
+     * @param {Object} envelope - the encrypted envelope.
+     * @returns {Promise} resolved with the decrypted envelope, rejected if tampered or encrypted with another key.
+     */
+    decryptEnvelope(envelope) {
+      return keyPromise
+        .then(aesKey => subtle.decrypt(
+          { name: 'AES-GCM', iv: new Uint8Array(fromBase64(envelope.message.iv)), additionalData: getAdditionalData(envelope) },
+          aesKey,
+          fromBase64(envelope.message.data)
+        ))
+        .then(plaintext => {
+          const decrypted = { ...envelope, message: JSON.parse(decoder.decode(plaintext)) };
+          delete decrypted.encrypted;
+          return decrypted;
+        });
+    }
+  };
+};
+
+module.exports = {
+  createEncryption
+};
@@ -0,0 +1,48 @@
+/**
+ * Environment detection.
+ * The library can be loaded in a window, in a Web Worker (no window) or in Node.js (no window, no location).
+ */
+
+/**
+ * Returns the current environment: 'window', 'worker', 'node' or 'unknown'.
+ * @private
+ */
+const detectEnvironment = () => {
+  if (typeof window !== 'undefined' && typeof window.document !== 'undefined') {
+    return 'window';
+  }
+  if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    return 'worker';
+  }
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return 'node';
+  }
+  return 'unknown';
+};
+
+/**
+ * Returns the global object of the current environment.
+ * @private
+ */
+const getGlobalContext = () => {
+  if (typeof window !== 'undefined') return window;
+  if (typeof self !== 'undefined') return self;
+  if (typeof globalThis !== 'undefined') return globalThis;
+  return global;
+};
+
+const environment = detectEnvironment();
+const context = getGlobalContext();
+
+/**
+ * Returns the origin of the given context, as used by MessageEvent.origin.
+ * NOTE: Node.js has no location, its native BroadcastChannel uses an empty origin as well.
+ * @param {Object} context - the global context.
+ */
+const getOrigin = context => (context.location && context.location.origin) || '';
+
+module.exports = {
+  environment,
+  context,
+  getOrigin
+};
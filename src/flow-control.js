@@ -0,0 +1,135 @@
+/**
+ * Flow control of the messages sent by a channel, for high-frequency posts:
+ * - batching: the messages posted within a delay are written to the transport at once ( delivered as separate events );
+ * - coalescing: a message replaces the waiting message with the same key ( latest value wins );
+ * - rate limiting: a token bucket limits the messages per second; the messages over the limit are dropped
+ *   ( 'drop' policy ) or wait for the bucket to refill ( 'queue' policy ).
+ */
+const { getTimestamp } = require('./utils');
+
+/**
+ * Creates the flow control of a channel.
+ * @param {Object} options
+ * @param {Boolean|Object} [options.batch] - batches the messages.
+ * @param {Number} [options.batch.delay] - ms to wait for other messages ( default 0: the messages posted in the same task ).
+ * @param {Number} [options.batch.size] - maximum number of messages in a batch ( default 100 ).
+ * @param {Function} [options.coalesce] - returns the key of a message ( its data ), undefined for messages not coalesced.
+ * Without batch, the messages are batched with the default options, so that the ones posted in the same task coalesce.
+ * @param {Object} [options.rateLimit] - limits the messages per second.
+ * @param {Number} options.rateLimit.rate - messages per second.
+ * @param {Number} [options.rateLimit.burst] - size of the bucket, i.e. messages that can be sent at once ( default rate ).
+ * @param {String} [options.rateLimit.policy] - 'queue' ( default ) or 'drop'.
+ * @param {Function} emit - called with the envelopes to send.
+ */
+const createFlowControl = ({ batch, coalesce, rateLimit }, emit) => {
+  batch = batch || (coalesce ? {} : null);
+  const batchDelay = batch && batch.delay ? batch.delay : 0;
+  const batchSize = batch ? batch.size || 100 : 1;
+  const rate = rateLimit ? rateLimit.rate : 0;
+  const burst = rateLimit ? rateLimit.burst || rate : 0;
+  const policy = rateLimit && rateLimit.policy === 'drop' ? 'drop' : 'queue';
+
+  // Messages waiting to be sent: { envelope, key, size, ready }. Ready messages have got their token.
+  let queue = [];
+  let tokens = burst;
+  let lastRefill = getTimestamp();
+  let timer = null;
+
+  const refill = () => {
+    const now = getTimestamp();
+    tokens = Math.min(burst, tokens + (now - lastRefill) * rate / 1000);
+    lastRefill = now;
+  };
+
+  const takeToken = () => {
+    if (!rate) return true;
+    refill();
+    if (tokens < 1) return false;
+    tokens--;
+    return true;
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+
+    // Messages are sent in order: the first one waiting for a token stops the others.
+    let count = 0;
+    while (count < queue.length && (queue[count].ready || (queue[count].ready = takeToken()))) {
+      count++;
+    }
+    const items = queue.splice(0, count);
+    for (let i = 0; i < items.length; i += batchSize) {
+      emit(items.slice(i, i + batchSize).map(item => item.envelope));
+    }
+
+    schedule();
+  };
+
+  const schedule = () => {
+    if (timer || !queue.length) return;
+    const delay = queue[0].ready ? batchDelay : Math.ceil((1 - tokens) * 1000 / rate);
+    timer = setTimeout(flush, delay);
+  };
+
+  return {
+    /**
+     * Sends a message, or queues it.
+     * @param {Object} envelope - the envelope.
+     * @param {*} data - the data of the message, from which the coalescing key is computed.
+     * @returns {Boolean} false if the message has been dropped.
+     */
+    push(envelope, data) {
+      const key = coalesce ? coalesce(data) : undefined;
+      const item = { envelope, key, size: envelope.message.data.length * 2, ready: false };
+
+      if (key !== undefined) {
+        for (let i = 0; i < queue.length; i++) {
+          if (queue[i].key === key) {
+            // Takes the place of the previous value ( and its token ), at the end of the queue.
+            item.ready = queue.splice(i, 1)[0].ready;
+            break;
+          }
+        }
+      }
+      if (!item.ready) {
+        const isWaiting = queue.some(queued => !queued.ready);
+        item.ready = !isWaiting && takeToken();
+      }
+      if (!item.ready && policy === 'drop') {
+        return false;
+      }
+
+      queue.push(item);
+      if (!batch && item.ready && queue.length === 1) {
+        // Sent right away, so that transport errors are thrown to the caller.
+        flush();
+      } else if (batch && queue.length >= batchSize && queue[batchSize - 1].ready) {
+        flush();
+      } else {
+        schedule();
+      }
+      return true;
+    },
+
+    /**
+     * The number of bytes of the messages waiting to be sent.
+     * @type {Number}
+     */
+    get bufferedAmount() {
+      return queue.reduce((total, item) => total + item.size, 0);
+    },
+
+    /**
+     * Sends the messages that can be sent, and drops the others.
+     */
+    close() {
+      queue = queue.filter(item => item.ready);
+      flush();
+    }
+  };
+};
+
+module.exports = {
+  createFlowControl
+};
@@ -0,0 +1,72 @@
+/**
+ * History of the messages sent on a channel, persisted in storage so that it survives reloads.
+ * Channels created later can replay it ( see the replay and since options ).
+ */
+const { getTimestamp } = require('./utils');
+const { getStorage, readJSON } = require('./storage');
+
+const HISTORY_PREFIX = 'polyBC_history_';
+
+/**
+ * Creates the history of a channel.
+ * @param {String} channelName - the channel name.
+ * @param {Object} [options]
+ * @param {Number} [options.size] - maximum number of messages kept.
+ * @param {Number} [options.ttl] - ms after which a message is removed from the history.
+ */
+const createHistory = (channelName, { size = 50, ttl = 5 * 60 * 1000 } = {}) => {
+  const storage = getStorage();
+  const key = HISTORY_PREFIX + channelName;
+
+  // Returns the entries { time, envelope } that have not expired, oldest first.
+  const read = () => {
+    const now = getTimestamp();
+    const entries = readJSON(storage, key) || [];
+    return entries.filter(entry => now - entry.time <= ttl);
+  };
+
+  return {
+    /**
+     * Adds a sent envelope to the history.
+     * @param {Object} envelope - the envelope.
+     */
+    record(envelope) {
+      const entries = read();
+      entries.push({ time: getTimestamp(), envelope });
+      try {
+        storage.setItem(key, JSON.stringify(entries.slice(-size)));
+      } catch(ex) {
+        // NOTE: a full storage must not prevent the message from being sent: the history is best effort.
+      }
+    },
+
+    /**
+     * Returns the envelopes to replay.
+     * @param {Object} options
+     * @param {Number} [options.replay] - the number of most recent messages.
+     * @param {Number} [options.since] - the timestamp of the oldest message.
+     * @returns {Array} the envelopes, oldest first.
+     */
+    replay({ replay, since }) {
+      let entries = read();
+      if (typeof since === 'number') {
+        entries = entries.filter(entry => entry.time >= since);
+      }
+      if (typeof replay === 'number') {
+        entries = replay > 0 ? entries.slice(-replay) : [];
+      }
+      return entries.map(entry => entry.envelope);
+    },
+
+    /**
+     * Removes the history from storage.
+     */
+    clear() {
+      storage.removeItem(key);
+    }
+  };
+};
+
+module.exports = {
+  createHistory
+};
@@ -0,0 +1,130 @@
+/**
+ * Garbage collection of the message keys left in localStorage.
+ * Sent messages are removed after a while, but not if their tab is closed ( or crashes ) in the meantime:
+ * the janitor removes the expired ones. A lock key, with the time of the last sweep, makes only one tab
+ * sweep per interval.
+ */
+const { getRandomString, getTimestamp } = require('./utils');
+
+const _prefix = 'polyBC_';
+const _messagePrefix = `${_prefix}message_`;
+const _chunkPrefix = `${_prefix}chunk_`;
+const _lockKey = `${_prefix}janitor`;
+
+// Cumulative statistics of the current tab.
+const stats = {
+  runs: 0,
+  keysRemoved: 0,
+  bytesReclaimed: 0,
+  lastRun: null
+};
+
+/**
+ * Returns the time a message was written, from its key ( `${_prefix}message_${random}.${timestamp}_${channelId}` ).
+ * @param {String} key - the key.
+ * @returns {Number|null} the timestamp, null for keys written by older versions.
+ * @private
+ */
+const getKeyTimestamp = key => {
+  const id = key.substring(_messagePrefix.length).split('_')[0];
+  const time = Number(id.split('.')[1]);
+  return time > 0 ? time : null;
+};
+
+/**
+ * Creates a janitor.
+ * @param {Object} options
+ * @param {Object} options.storage - the storage ( localStorage ).
+ * @param {Number} options.interval - ms between two sweeps ( among all tabs ).
+ * @param {Number} options.maxAge - ms after which a message key is expired.
+ */
+const createJanitor = ({ storage, interval, maxAge }) => {
+  const token = getRandomString(10);
+  let timer = null;
+
+  // Takes the lock if nobody has swept during the last interval.
+  const acquire = now => {
+    try {
+      const lock = JSON.parse(storage.getItem(_lockKey));
+      if (lock && lock.token !== token && now - lock.time < interval) {
+        return false;
+      }
+    } catch(ex) {
+      // Unreadable lock: overwritten.
+    }
+    storage.setItem(_lockKey, JSON.stringify({ token, time: now }));
+    return true;
+  };
+
+  const janitor = {
+    /**
+     * Removes the expired keys, unless another tab has swept recently.
+     * @returns {Object|null} the result of the sweep { keysRemoved, bytesReclaimed }, null if skipped.
+     */
+    run() {
+      const now = getTimestamp();
+      try {
+        if (!acquire(now)) return null;
+      } catch(ex) {
+        return null;
+      }
+
+      const expired = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key) continue;
+        if (key.indexOf(_messagePrefix) === 0) {
+          const time = getKeyTimestamp(key);
+          if (time === null || now - time > maxAge) {
+            expired.push(key);
+          }
+        } else if (key.indexOf(_chunkPrefix) === 0) {
+          // Chunks are removed as soon as they are written: any chunk left is an orphan.
+          expired.push(key);
+        }
+      }
+
+      const result = { keysRemoved: 0, bytesReclaimed: 0 };
+      expired.forEach(key => {
+        const value = storage.getItem(key);
+        if (value === null) return;
+        storage.removeItem(key);
+        result.keysRemoved++;
+        // Strings are stored as UTF-16.
+        result.bytesReclaimed += (key.length + value.length) * 2;
+      });
+
+      stats.runs++;
+      stats.keysRemoved += result.keysRemoved;
+      stats.bytesReclaimed += result.bytesReclaimed;
+      stats.lastRun = now;
+      return result;
+    },
+
+    /**
+     * Runs now, and then periodically.
+     */
+    start() {
+      janitor.run();
+      timer = setInterval(janitor.run, interval);
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+
+  return janitor;
+};
+
+/**
+ * Returns the statistics of the sweeps done by the current tab.
+ * @returns {Object} { runs, keysRemoved, bytesReclaimed, lastRun }
+ */
+const getJanitorStats = () => ({ ...stats });
+
+module.exports = {
+  createJanitor,
+  getJanitorStats,
+  getKeyTimestamp
+};
@@ -0,0 +1,258 @@
+/**
+ * Leader election among the tabs sharing a channel.
+ * The leader holds a lease in localStorage, renewed with heartbeats that it also announces through the channel;
+ * the other tabs take it over when the leader dies ( it tells them through the channel ) or stops renewing it
+ * ( crashed or frozen tab ). When two tabs are leaders, the one with the greater token steps down.
+ * NOTE: where localStorage is not available, leases are shared by the current context only: the announcements
+ * of the leader act as its lease for the other contexts.
+ */
+const _BroadcastChannel = require('../polyfill');
+const { getRandomString, getTimestamp } = require('./utils');
+const { context } = require('./environment');
+const { getStorage, readJSON } = require('./storage');
+
+const LEASE_PREFIX = 'polyBC_leader_';
+
+class LeaderElection {
+
+  isLeader = false;
+  isDead = false;
+  token = getRandomString(10);
+  onduplicate = null; // Called when another leader has been found.
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   * @param {Object} options - see createLeaderElection.
+   * @param {Boolean} ownChannel - true to close the channel when leaving the election.
+   */
+  constructor(channel, { heartbeat = 1000, leaseTimeout = 3000, applyDelay = 50 } = {}, ownChannel = false) {
+    this.channel = channel;
+    this._ownChannel = ownChannel;
+    this._heartbeat = heartbeat;
+    this._leaseTimeout = leaseTimeout;
+    this._applyDelay = applyDelay;
+    this._key = LEASE_PREFIX + channel.channelName;
+    this._store = getStorage();
+    this._applying = false;
+    this._waiting = []; // Resolve functions of awaitLeadership.
+    this._leader = null; // Last announcement of another leader { token, time }.
+
+    this._onInternal = data => this._handleMessage(data);
+    this._onPageHide = ev => {
+      if (ev && ev.persisted) {
+        // The page enters the back/forward cache: the leadership is given up until the page is restored.
+        this._resign();
+      } else {
+        this.die();
+      }
+    };
+    this._onPageShow = ev => {
+      // The page has been restored from the back/forward cache.
+      if (ev && ev.persisted) {
+        this._tick();
+      }
+    };
+
+    channel._addInternalListener(this._onInternal);
+    if (typeof context.addEventListener === 'function') {
+      context.addEventListener('pagehide', this._onPageHide, false);
+      context.addEventListener('pageshow', this._onPageShow, false);
+    }
+
+    this._timer = setInterval(() => this._tick(), heartbeat);
+    this._tick();
+  }
+
+  /**
+   * Returns a promise, resolved when the current tab becomes the leader.
+   * @returns {Promise}
+   */
+  awaitLeadership() {
+    if (this.isLeader) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this._waiting.push(resolve));
+  }
+
+  /**
+   * Leaves the election. If the current tab is the leader, the other tabs elect a new one.
+   * @returns {Promise}
+   */
+  die() {
+    if (this.isDead) {
+      return Promise.resolve();
+    }
+    this.isDead = true;
+    clearInterval(this._timer);
+    this.channel._removeInternalListener(this._onInternal);
+    if (typeof context.removeEventListener === 'function') {
+      context.removeEventListener('pagehide', this._onPageHide, false);
+      context.removeEventListener('pageshow', this._onPageShow, false);
+    }
+
+    this._resign();
+    if (this._ownChannel) {
+      this.channel.close();
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Renews and announces the lease ( leader ), or checks if it has expired ( other tabs ).
+   * @private
+   */
+  _tick() {
+    if (this.isDead) return;
+    const lease = this._readLease();
+
+    if (this.isLeader) {
+      if (lease && lease.token < this.token && !this._isExpired(lease)) {
+        // Another tab has taken the lease in the meantime: as with two leaders, the greater token steps down.
+        this._stepDown();
+      } else {
+        this._writeLease();
+        this._send('tell');
+      }
+    } else if ((!lease || this._isExpired(lease)) && !this._hasLeader()) {
+      this._apply();
+    }
+  }
+
+  /**
+   * Writes the lease and, if nobody has overwritten it in the meantime, becomes the leader.
+   * @private
+   */
+  _apply() {
+    if (this._applying || this.isDead) return;
+    this._applying = true;
+    this._writeLease();
+
+    setTimeout(() => {
+      this._applying = false;
+      if (this.isDead) return;
+      const lease = this._readLease();
+      if (lease && lease.token === this.token && !this._hasLeader()) {
+        this._becomeLeader();
+      } else if (lease && lease.token === this.token) {
+        // Another leader has been announced in the meantime.
+        this._store.removeItem(this._key);
+      }
+    }, this._applyDelay);
+  }
+
+  _becomeLeader() {
+    if (this.isLeader) return;
+    this.isLeader = true;
+    this._leader = null;
+    this._send('tell');
+    const waiting = this._waiting;
+    this._waiting = [];
+    waiting.forEach(resolve => resolve());
+  }
+
+  /**
+   * Handles the messages of the other contenders.
+   * @param {Object} data - the internal message.
+   * @private
+   */
+  _handleMessage(data) {
+    if (!data || data.context !== 'leader' || this.isDead || data.token === this.token) return;
+
+    if (data.action === 'death' && !this.isLeader) {
+      // The leader has left ( and removed its lease ): applies without waiting for the next heartbeat.
+      if (this._leader && this._leader.token === data.token) {
+        this._leader = null;
+      }
+      this._tick();
+    } else if (data.action === 'tell') {
+      if (this.isLeader) {
+        // Two leaders: the one with the greater token steps down.
+        if (typeof this.onduplicate === 'function') {
+          this.onduplicate();
+        }
+        if (this.token < data.token) {
+          // Tells the other leader right away.
+          this._send('tell');
+          return;
+        }
+        this._stepDown();
+      }
+      this._leader = { token: data.token, time: getTimestamp() };
+    }
+  }
+
+  /**
+   * Stops being the leader, and removes the lease if it is still held.
+   * @private
+   */
+  _stepDown() {
+    this.isLeader = false;
+    const lease = this._readLease();
+    if (lease && lease.token === this.token) {
+      this._store.removeItem(this._key);
+    }
+  }
+
+  /**
+   * Gives the leadership up, and tells the other tabs so that they elect a new leader.
+   * @private
+   */
+  _resign() {
+    if (!this.isLeader) return;
+    this._stepDown();
+    this._send('death');
+  }
+
+  /**
+   * Checks if another leader has announced itself recently.
+   * @private
+   */
+  _hasLeader() {
+    return !!this._leader && getTimestamp() - this._leader.time <= this._leaseTimeout;
+  }
+
+  _send(action) {
+    if (!this.channel.closed) {
+      this.channel._postInternal({ context: 'leader', action, token: this.token });
+    }
+  }
+
+  _readLease() {
+    return readJSON(this._store, this._key);
+  }
+
+  _writeLease() {
+    this._store.setItem(this._key, JSON.stringify({ token: this.token, time: getTimestamp() }));
+  }
+
+  _isExpired(lease) {
+    return getTimestamp() - lease.time > this._leaseTimeout;
+  }
+}
+
+/**
+ * Creates a leader election: exactly one of the tabs sharing the channel is the leader.
+ * @param {_BroadcastChannel|String} channel - the channel used by the contenders ( a channel of the polyfill ),
+ * or the name of the channel to open, closed when leaving the election.
+ * @param {Object} [options]
+ * @param {Number} [options.heartbeat] - ms between two renewals of the lease.
+ * @param {Number} [options.leaseTimeout] - ms after which a lease that has not been renewed expires.
+ * @param {Number} [options.applyDelay] - ms to wait, after writing the lease, to check that no other tab has overwritten it.
+ * @param {Object} [options.channel] - the options of the channel opened from a name ( see BroadcastChannel ).
+ * @returns {LeaderElection}
+ */
+const createLeaderElection = (channel, options = {}) => {
+  if (typeof channel === 'string') {
+    return new LeaderElection(new _BroadcastChannel(channel, options.channel), options, true);
+  }
+  if (!channel || typeof channel._addInternalListener !== 'function') {
+    // e.g. the native BroadcastChannel, exported by the package where available.
+    throw new TypeError('The leader election requires a channel of the polyfill ' +
+      '( @alexis89x/broadcast-channel/polyfill ) or the name of a channel.');
+  }
+  return new LeaderElection(channel, options);
+};
+
+module.exports = {
+  createLeaderElection
+};
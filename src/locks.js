@@ -0,0 +1,343 @@
+/**
+ * Cross-tab locks, compatible with the Web Locks API ( navigator.locks ), which is used where available.
+ * The holders of a lock are written in localStorage, with a lease renewed while the lock is held,
+ * so that the locks of a crashed tab are released when their lease expires. A tab acquires a lock by adding
+ * itself to the holders, then checking, after a delay, that no other tab has overwritten them in the meantime.
+ * Tabs waiting for a lock retry when a holder releases it ( it tells them through a channel ), or periodically.
+ * NOTE: requests are granted in order within a tab, but not across tabs.
+ * NOTE: where localStorage is not available, locks are shared by the current context only.
+ */
+const { getRandomString, getTimestamp, createDOMException } = require('./utils');
+const { context } = require('./environment');
+const { getStorage, readJSON } = require('./storage');
+
+const LOCK_PREFIX = 'polyBC_lock_';
+const LOCKS_CHANNEL = 'polyBC_locks';
+
+const createAbortError = signal => (signal && signal.reason !== undefined ?
+  signal.reason :
+  createDOMException('The lock request is aborted.', 'AbortError'));
+
+class LockManager {
+
+  /**
+   * @param {Function} channelClass - the class of the channel used to tell the other tabs about the releases.
+   * @param {Object} options - see createLockManager.
+   */
+  constructor(channelClass, { leaseTimeout = 10000, applyDelay = 50, retryInterval = 500 } = {}) {
+    this._channelClass = channelClass;
+    this._leaseTimeout = leaseTimeout;
+    this._applyDelay = applyDelay;
+    this._retryInterval = retryInterval;
+    this._store = getStorage();
+    this._clientId = getRandomString(10);
+    this._pending = []; // Requests waiting for their lock, in order.
+    this._held = {}; // Locks held by the current tab, by request id.
+    this._retryTimer = null;
+    this._channel = null; // Created on first use.
+
+    this._onInternal = data => this._handleMessage(data);
+    this._onPageHide = ev => {
+      // The page is unloaded: its locks are released without waiting for their lease to expire.
+      if (!ev || !ev.persisted) {
+        Object.keys(this._held).forEach(id => this._removeHolder(this._held[id].name, id));
+      }
+    };
+    if (typeof context.addEventListener === 'function') {
+      context.addEventListener('pagehide', this._onPageHide, false);
+    }
+  }
+
+  /**
+   * Requests a lock, and calls the callback once it is granted. The lock is released when the promise returned
+   * by the callback settles.
+   * @param {String} name - the name of the lock.
+   * @param {Object} [options]
+   * @param {String} [options.mode] - 'exclusive' ( default ) or 'shared'.
+   * @param {Boolean} [options.ifAvailable] - grants the lock only if it is available, and no earlier request waits for it:
+   * otherwise, the callback is called with null.
+   * @param {Boolean} [options.steal] - releases the lock from its holders ( their requests are rejected ) and grants it.
+   * @param {AbortSignal} [options.signal] - aborts the request while it is waiting.
+   * @param {Function} callback - called with the lock { name, mode }, may return a Promise.
+   * @returns {Promise} resolved with the result of the callback.
+   */
+  request(name, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const { mode = 'exclusive', ifAvailable = false, steal = false, signal } = options || {};
+
+    if (typeof callback !== 'function') {
+      return Promise.reject(new TypeError('The callback is not a function.'));
+    }
+    if (mode !== 'exclusive' && mode !== 'shared') {
+      return Promise.reject(new TypeError(`'${mode}' is not a valid lock mode.`));
+    }
+    if (String(name).charAt(0) === '-') {
+      return Promise.reject(createDOMException('Names starting with \'-\' are reserved.', 'NotSupportedError'));
+    }
+    if ((steal && (ifAvailable || mode !== 'exclusive')) || (signal && (steal || ifAvailable))) {
+      return Promise.reject(createDOMException('The lock options are not compatible.', 'NotSupportedError'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+
+    // Listens to the releases of the other tabs.
+    this._getChannel();
+
+    return new Promise((resolve, reject) => {
+      const req = { id: getRandomString(10), name: String(name), mode, ifAvailable, steal, signal, callback, resolve, reject };
+      if (signal) {
+        req.onAbort = () => {
+          const index = this._pending.indexOf(req);
+          if (index > -1 && !req.applying) {
+            this._pending.splice(index, 1);
+            reject(createAbortError(signal));
+          }
+        };
+        signal.addEventListener('abort', req.onAbort);
+      }
+      this._pending.push(req);
+      this._process();
+    });
+  }
+
+  /**
+   * Returns the state of the locks.
+   * @returns {Promise} resolved with { held, pending }: the locks held by any tab, and the requests of the current tab,
+   * as lists of { name, mode, clientId }.
+   */
+  query() {
+    const held = [];
+    const names = [];
+    if (typeof this._store.key === 'function') {
+      for (let i = 0; i < this._store.length; i++) {
+        const key = this._store.key(i);
+        if (key && key.indexOf(LOCK_PREFIX) === 0) {
+          names.push(key.substring(LOCK_PREFIX.length));
+        }
+      }
+    } else {
+      Object.keys(this._held).forEach(id => names.push(this._held[id].name));
+    }
+    names
+      .filter((name, i) => names.indexOf(name) === i)
+      .forEach(name => this._readHolders(name).forEach(holder => {
+        held.push({ name, mode: holder.mode, clientId: holder.clientId });
+      }));
+
+    const pending = this._pending.map(req => ({ name: req.name, mode: req.mode, clientId: this._clientId }));
+    return Promise.resolve({ held, pending });
+  }
+
+  /**
+   * Tries to acquire the locks of the requests that are first in line.
+   * @private
+   */
+  _process() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    const blocked = {}; // Names for which an earlier request prevents the following ones.
+    this._pending.slice().forEach(req => {
+      const isFirst = !blocked.hasOwnProperty(req.name);
+      // Shared requests can be granted along with the shared requests before them.
+      if (isFirst || (blocked[req.name] === 'shared' && req.mode === 'shared')) {
+        this._apply(req);
+      } else if (req.ifAvailable) {
+        // An earlier request waits for the lock: as with Web Locks, it is not available.
+        this._pending.splice(this._pending.indexOf(req), 1);
+        this._run(req, null);
+      }
+      // Requests that are not pending anymore ( e.g. ifAvailable, resolved with null ) do not block the others.
+      if (this._pending.indexOf(req) > -1) {
+        blocked[req.name] = blocked[req.name] === 'exclusive' ? 'exclusive' : req.mode;
+      }
+    });
+
+    if (this._pending.length) {
+      this._retryTimer = setTimeout(() => this._process(), this._retryInterval);
+    }
+  }
+
+  /**
+   * Adds the request to the holders of the lock and, if no other tab has overwritten them in the meantime, grants it.
+   * @private
+   */
+  _apply(req) {
+    if (req.applying) return;
+    const holders = this._readHolders(req.name);
+
+    if (!req.steal && !this._isCompatible(holders, req.mode)) {
+      if (req.ifAvailable) {
+        this._pending.splice(this._pending.indexOf(req), 1);
+        this._run(req, null);
+      }
+      return;
+    }
+
+    req.applying = true;
+    const holder = { id: req.id, mode: req.mode, clientId: this._clientId, expires: getTimestamp() + this._leaseTimeout };
+    this._writeHolders(req.name, req.steal ? [holder] : holders.concat(holder));
+    if (req.steal && holders.length) {
+      this._send({ action: 'stolen', name: req.name, ids: holders.map(h => h.id) });
+    }
+
+    setTimeout(() => {
+      req.applying = false;
+      const current = this._readHolders(req.name);
+      const isHolder = current.some(h => h.id === req.id);
+
+      if (isHolder && (req.steal || this._isCompatible(current.filter(h => h.id !== req.id), req.mode))) {
+        this._pending.splice(this._pending.indexOf(req), 1);
+        this._grant(req);
+        return;
+      }
+      if (isHolder) {
+        this._removeHolder(req.name, req.id);
+      }
+      if (req.ifAvailable) {
+        this._pending.splice(this._pending.indexOf(req), 1);
+        this._run(req, null);
+      } else if (req.signal && req.signal.aborted) {
+        req.onAbort();
+      }
+    }, this._applyDelay);
+  }
+
+  _grant(req) {
+    if (req.signal) {
+      req.signal.removeEventListener('abort', req.onAbort);
+    }
+    const held = {
+      name: req.name,
+      req,
+      timer: setInterval(() => this._renew(req.id), this._leaseTimeout / 3)
+    };
+    this._held[req.id] = held;
+    this._run(req, { name: req.name, mode: req.mode }, () => this._release(req.id));
+  }
+
+  /**
+   * Calls the callback of a request, then settles its promise.
+   * @private
+   */
+  _run(req, lock, release) {
+    new Promise(resolve => resolve(req.callback(lock)))
+      .then(result => {
+        if (release) release();
+        req.resolve(result);
+      }, ex => {
+        if (release) release();
+        req.reject(ex);
+      });
+  }
+
+  _release(id) {
+    const held = this._held[id];
+    if (!held) return;
+    clearInterval(held.timer);
+    delete this._held[id];
+    this._removeHolder(held.name, id);
+    this._send({ action: 'released', name: held.name });
+    this._process();
+  }
+
+  /**
+   * Renews the lease of a lock held by the current tab. A lock that has been stolen, or whose lease has expired
+   * and been taken by another tab, is lost: its request is rejected.
+   * @private
+   */
+  _renew(id) {
+    const held = this._held[id];
+    const holders = this._readHolders(held.name);
+    const own = holders.filter(h => h.id === id)[0];
+    if (!own) {
+      this._lose(id);
+      return;
+    }
+    own.expires = getTimestamp() + this._leaseTimeout;
+    this._writeHolders(held.name, holders);
+  }
+
+  _lose(id) {
+    const held = this._held[id];
+    if (!held) return;
+    clearInterval(held.timer);
+    delete this._held[id];
+    held.req.reject(createDOMException('The lock has been released by another tab.', 'AbortError'));
+  }
+
+  _handleMessage(data) {
+    if (!data || data.context !== 'lock') return;
+
+    if (data.action === 'released' && this._pending.length) {
+      this._process();
+    } else if (data.action === 'stolen') {
+      data.ids.forEach(id => this._lose(id));
+    }
+  }
+
+  _getChannel() {
+    if (!this._channel) {
+      this._channel = new this._channelClass(LOCKS_CHANNEL);
+      this._channel._addInternalListener(this._onInternal);
+    }
+    return this._channel;
+  }
+
+  _send(data) {
+    this._getChannel()._postInternal({ context: 'lock', ...data });
+  }
+
+  _isCompatible(holders, mode) {
+    return mode === 'shared' ? holders.every(h => h.mode === 'shared') : !holders.length;
+  }
+
+  /**
+   * Returns the holders of a lock, whose lease has not expired.
+   * @private
+   */
+  _readHolders(name) {
+    const now = getTimestamp();
+    const holders = readJSON(this._store, LOCK_PREFIX + name);
+    return Array.isArray(holders) ? holders.filter(h => h.expires > now) : [];
+  }
+
+  _writeHolders(name, holders) {
+    if (holders.length) {
+      this._store.setItem(LOCK_PREFIX + name, JSON.stringify(holders));
+    } else {
+      this._store.removeItem(LOCK_PREFIX + name);
+    }
+  }
+
+  _removeHolder(name, id) {
+    this._writeHolders(name, this._readHolders(name).filter(h => h.id !== id));
+  }
+}
+
+/**
+ * Returns a lock manager: navigator.locks where available, otherwise a polyfill sharing the locks through localStorage
+ * ( see BroadcastChannel.createLockManager ).
+ * @param {Function} channelClass - the class of the channel used by the polyfill ( _BroadcastChannel ).
+ * @param {Object} [options]
+ * @param {Boolean} [options.native] - false to use the polyfill even where navigator.locks is available.
+ * @param {Number} [options.leaseTimeout] - ms after which the lock of a tab that has stopped renewing it is released ( default 10000 ).
+ * @param {Number} [options.applyDelay] - ms to wait, after writing the holders of a lock, to check that no other tab has overwritten them.
+ * @param {Number} [options.retryInterval] - ms between two attempts to acquire a lock.
+ * @returns {LockManager}
+ */
+const createLockManager = (channelClass, options = {}) => {
+  const navigator = context.navigator;
+  if (options.native !== false && navigator && navigator.locks && typeof navigator.locks.request === 'function') {
+    return navigator.locks;
+  }
+  return new LockManager(channelClass, options);
+};
+
+module.exports = {
+  createLockManager
+};
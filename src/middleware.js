@@ -0,0 +1,45 @@
+/**
+ * Middleware pipeline, for channel.use().
+ * Each step is called with (envelope, next): it calls next() to continue ( optionally with a new envelope ),
+ * calls it later to delay the message, or never calls it to drop the message.
+ */
+
+/**
+ * Runs an envelope through the steps of a pipeline.
+ * @param {Array} steps - the steps, functions (envelope, next).
+ * @param {Object} envelope - the envelope.
+ * @param {Function} done - called with the resulting envelope, after the last step.
+ * @param {Function} [onError] - called with the error thrown by a step. If missing, errors are thrown.
+ */
+const runPipeline = (steps, envelope, done, onError) => {
+  const run = (index, env) => {
+    if (index === steps.length) {
+      done(env);
+      return;
+    }
+
+    let called = false;
+    const next = nextEnv => {
+      // next() can only be called once per step.
+      if (called) return;
+      called = true;
+      run(index + 1, nextEnv === undefined ? env : nextEnv);
+    };
+
+    if (!onError) {
+      steps[index](env, next);
+      return;
+    }
+    try {
+      steps[index](env, next);
+    } catch(ex) {
+      onError(ex);
+    }
+  };
+
+  run(0, envelope);
+};
+
+module.exports = {
+  runPipeline
+};
@@ -0,0 +1,110 @@
+/**
+ * Ordered delivery of messages.
+ * Every envelope carries the sequence number of its sender ( the channel instance, bcId ):
+ * envelopes are delivered in sequence order, duplicates are dropped, and missing envelopes
+ * are waited for at most `window` ms before delivering what follows them.
+ */
+const { getTimestamp, isEmpty } = require('./utils');
+
+const SENDER_TTL = 5 * 60 * 1000; // Senders silent for longer are forgotten.
+
+/**
+ * Creates a reorder buffer.
+ * @param {Object} options
+ * @param {Number} options.window - ms to wait for a missing envelope.
+ * @param {Function} options.deliver - called with each envelope, in order.
+ */
+const createOrderingBuffer = ({ window, deliver }) => {
+  let senders = {}; // Sender state, by bcId.
+  let lastPrune = getTimestamp();
+
+  const drain = sender => {
+    while (sender.pending[sender.next]) {
+      const envelope = sender.pending[sender.next];
+      delete sender.pending[sender.next];
+      sender.next++;
+      deliver(envelope);
+    }
+  };
+
+  // Delivers the pending envelopes, skipping the missing ones.
+  const flush = sender => {
+    sender.timer = null;
+    const seqs = Object.keys(sender.pending).map(Number).sort((a, b) => a - b);
+    if (seqs.length) {
+      sender.next = seqs[0];
+      // NOTE: drain stops at the next gap, the following envelopes wait for another window.
+      drain(sender);
+      schedule(sender);
+    }
+  };
+
+  const schedule = sender => {
+    if (!sender.timer && !isEmpty(sender.pending)) {
+      sender.timer = setTimeout(() => flush(sender), window);
+    }
+  };
+
+  const prune = now => {
+    lastPrune = now;
+    Object.keys(senders).forEach(bcId => {
+      const sender = senders[bcId];
+      if (now - sender.lastSeen > SENDER_TTL && !sender.timer) {
+        delete senders[bcId];
+      }
+    });
+  };
+
+  return {
+    /**
+     * Adds an envelope to the buffer.
+     * @param {Object} envelope - the envelope, with bcId and seq.
+     */
+    push(envelope) {
+      const now = getTimestamp();
+      const seq = envelope.seq;
+
+      // Envelopes without sequence ( older versions ) cannot be ordered.
+      if (typeof seq !== 'number') {
+        deliver(envelope);
+        return;
+      }
+
+      const sender = senders[envelope.bcId] = senders[envelope.bcId] || {
+        // A new sender starts from 0; otherwise we joined late, and wait for the window before choosing where to start.
+        next: seq === 0 ? 0 : null,
+        pending: {},
+        timer: null,
+        lastSeen: now
+      };
+      sender.lastSeen = now;
+
+      if ((sender.next !== null && seq < sender.next) || sender.pending[seq]) {
+        // Duplicate.
+        return;
+      }
+
+      sender.pending[seq] = envelope;
+      if (sender.next !== null) {
+        drain(sender);
+      }
+      schedule(sender);
+
+      if (now - lastPrune > SENDER_TTL) {
+        prune(now);
+      }
+    },
+
+    /**
+     * Discards all the pending envelopes.
+     */
+    clear() {
+      Object.keys(senders).forEach(bcId => clearTimeout(senders[bcId].timer));
+      senders = {};
+    }
+  };
+};
+
+module.exports = {
+  createOrderingBuffer
+};
@@ -0,0 +1,127 @@
+/**
+ * Presence of the channels listening on a channel name, in any tab.
+ * Every channel announces itself when it is created, then with heartbeats, and says goodbye when it is closed
+ * or its page is hidden; channels that miss their heartbeats are evicted.
+ * The channel dispatches 'memberjoin' and 'memberleave' events, with the member as event detail.
+ */
+const { getTimestamp, createCustomEvent } = require('./utils');
+const { context } = require('./environment');
+
+class Presence {
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   * @param {Object} options
+   * @param {Number} [options.heartbeat] - ms between two heartbeats.
+   * @param {Number} [options.timeout] - ms without heartbeats after which a member is evicted.
+   */
+  constructor(channel, { heartbeat = 2000, timeout = 3 * heartbeat } = {}) {
+    this.channel = channel;
+    this._timeout = timeout;
+    this._members = {}; // Members, by channel name ( bcId ).
+
+    this._onInternal = (data, envelope) => this._handleMessage(data, envelope);
+    this._onPageHide = () => this._send('leave');
+    this._onPageShow = ev => {
+      // The page has been restored from the back/forward cache.
+      if (ev.persisted) {
+        this._send('join');
+      }
+    };
+
+    channel._addInternalListener(this._onInternal);
+    if (typeof context.addEventListener === 'function') {
+      context.addEventListener('pagehide', this._onPageHide, false);
+      context.addEventListener('beforeunload', this._onPageHide, false);
+      context.addEventListener('pageshow', this._onPageShow, false);
+    }
+
+    this._timer = setInterval(() => {
+      this._send('heartbeat');
+      this._evict();
+    }, heartbeat);
+    this._send('join');
+  }
+
+  /**
+   * Returns the other members of the channel.
+   * @returns {Array} the members { id, tabId, joinedAt, lastSeen }.
+   */
+  getMembers() {
+    return Object.keys(this._members).map(id => ({ ...this._members[id] }));
+  }
+
+  /**
+   * Says goodbye and stops the heartbeats.
+   */
+  close() {
+    clearInterval(this._timer);
+    this._send('leave');
+    this.channel._removeInternalListener(this._onInternal);
+    if (typeof context.removeEventListener === 'function') {
+      context.removeEventListener('pagehide', this._onPageHide, false);
+      context.removeEventListener('beforeunload', this._onPageHide, false);
+      context.removeEventListener('pageshow', this._onPageShow, false);
+    }
+    this._members = {};
+  }
+
+  _handleMessage(data, envelope) {
+    if (!data || data.context !== 'presence') return;
+    const id = envelope.bcId;
+
+    if (data.action === 'leave') {
+      this._remove(id);
+      return;
+    }
+
+    const isNew = !this._members[id];
+    if (isNew) {
+      this._members[id] = { id, tabId: envelope.tabId, joinedAt: getTimestamp(), lastSeen: 0 };
+    }
+    this._members[id].lastSeen = getTimestamp();
+
+    if (data.action === 'join') {
+      // Lets the newcomer know about us.
+      this._send('heartbeat');
+    }
+    if (isNew) {
+      this.channel.dispatchEvent(createCustomEvent('memberjoin', { ...this._members[id] }));
+    }
+  }
+
+  _evict() {
+    const now = getTimestamp();
+    Object.keys(this._members).forEach(id => {
+      if (now - this._members[id].lastSeen > this._timeout) {
+        this._remove(id);
+      }
+    });
+  }
+
+  _remove(id) {
+    const member = this._members[id];
+    if (member) {
+      delete this._members[id];
+      this.channel.dispatchEvent(createCustomEvent('memberleave', member));
+    }
+  }
+
+  _send(action) {
+    if (!this.channel.closed) {
+      this.channel._postInternal({ context: 'presence', action });
+    }
+  }
+}
+
+/**
+ * Creates the presence subsystem of a channel.
+ * @param {_BroadcastChannel} channel - the channel.
+ * @param {Object} [options] - see Presence.
+ * @returns {Presence}
+ */
+const createPresence = (channel, options) => new Presence(channel, options);
+
+module.exports = {
+  createPresence
+};
@@ -0,0 +1,189 @@
+/**
+ * Request/response over a channel.
+ * Requests and responses are internal messages, correlated by the request id:
+ * - { context: 'rpc', action: 'request', id, method, params, mode, target }
+ * - { context: 'rpc', action: 'response', id, to, result } or { ..., error } or { ..., unhandled: true }
+ */
+const { getRandomString, createDOMException } = require('./utils');
+
+/**
+ * Errors are sent as plain objects, so that they survive any codec.
+ * @private
+ */
+const serializeError = err => (err instanceof Error ?
+  { name: err.name, message: err.message, stack: err.stack } :
+  { name: 'Error', message: String(err) });
+
+const deserializeError = obj => {
+  const error = new Error(obj.message);
+  error.name = obj.name;
+  if (obj.stack) {
+    error.stack = obj.stack;
+  }
+  return error;
+};
+
+class Rpc {
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   */
+  constructor(channel) {
+    this.channel = channel;
+    this._handlers = {}; // Handlers, by method.
+    this._pending = {}; // Pending requests, by id.
+    this._onInternal = (data, envelope) => this._handleMessage(data, envelope);
+    channel._addInternalListener(this._onInternal);
+  }
+
+  /**
+   * Sends a request to the other channels.
+   * @param {String} method - the method.
+   * @param {*} params - the parameters.
+   * @param {Object} [options]
+   * @param {Number} [options.timeout] - ms to wait for the responses.
+   * @param {String} [options.target] - the channel name ( bcId ) or tabId that must handle the request.
+   * @param {String} [options.mode] - 'first' resolves with the first response, 'all' with all of them.
+   * @returns {Promise} resolved with the result ( 'first' ), or with an array of { from, tabId, result | error } ( 'all' ).
+   */
+  request(method, params, { timeout = 5000, target = null, mode = 'first' } = {}) {
+    const id = getRandomString(10);
+
+    return new Promise((resolve, reject) => {
+      const pending = this._pending[id] = {
+        mode,
+        resolve,
+        reject,
+        responses: [],
+        responded: {}, // Channels that have responded ( even without handler ), by bcId.
+        timer: setTimeout(() => {
+          delete this._pending[id];
+          if (mode === 'all') {
+            resolve(pending.responses);
+          } else {
+            reject(createDOMException(`No response to '${method}' within ${timeout}ms.`, 'TimeoutError'));
+          }
+        }, timeout)
+      };
+
+      try {
+        this.channel._postInternal({ context: 'rpc', action: 'request', id, method, params, mode, target });
+      } catch(ex) {
+        clearTimeout(pending.timer);
+        delete this._pending[id];
+        reject(ex);
+      }
+    });
+  }
+
+  /**
+   * Registers the handler of a method.
+   * @param {String} method - the method.
+   * @param {Function|null} handler - called with (params, { from, tabId }), may return a Promise. null removes it.
+   */
+  handle(method, handler) {
+    if (typeof handler === 'function') {
+      this._handlers[method] = handler;
+    } else {
+      delete this._handlers[method];
+    }
+  }
+
+  /**
+   * Rejects the pending requests and stops handling requests.
+   */
+  close() {
+    this.channel._removeInternalListener(this._onInternal);
+    Object.keys(this._pending).forEach(id => {
+      clearTimeout(this._pending[id].timer);
+      this._pending[id].reject(createDOMException('The channel has been closed.', 'InvalidStateError'));
+    });
+    this._pending = {};
+    this._handlers = {};
+  }
+
+  _handleMessage(data, envelope) {
+    if (!data || data.context !== 'rpc') return;
+    if (data.action === 'request') {
+      this._handleRequest(data, envelope);
+    } else if (data.action === 'response' && data.to === this.channel.name) {
+      this._handleResponse(data, envelope);
+    }
+  }
+
+  _handleRequest(data, envelope) {
+    const channel = this.channel;
+    if (data.target && data.target !== channel.name && data.target !== channel.tabId) return;
+
+    const respond = response => {
+      if (!channel.closed) {
+        channel._postInternal({ context: 'rpc', action: 'response', id: data.id, to: envelope.bcId, ...response });
+      }
+    };
+
+    const handler = this._handlers[data.method];
+    if (!handler) {
+      // When gathering all the responses, the requester needs to know who will not respond.
+      if (data.mode === 'all') {
+        respond({ unhandled: true });
+      }
+      return;
+    }
+
+    new Promise(resolve => resolve(handler(data.params, { from: envelope.bcId, tabId: envelope.tabId })))
+      .then(
+        result => respond({ result }),
+        err => respond({ error: serializeError(err) })
+      )
+      // The response cannot be sent, e.g. the result cannot be cloned ( DataCloneError ): sends the error instead.
+      .catch(ex => respond({ error: serializeError(ex) }))
+      .catch(ex => setTimeout(() => { throw ex; }, 0));
+  }
+
+  _handleResponse(data, envelope) {
+    const pending = this._pending[data.id];
+    if (!pending || pending.responded[envelope.bcId]) return;
+    pending.responded[envelope.bcId] = true;
+
+    if (pending.mode !== 'all') {
+      if (data.unhandled) return;
+      clearTimeout(pending.timer);
+      delete this._pending[data.id];
+      if (data.error) {
+        pending.reject(deserializeError(data.error));
+      } else {
+        pending.resolve(data.result);
+      }
+      return;
+    }
+
+    if (!data.unhandled) {
+      const response = { from: envelope.bcId, tabId: envelope.tabId };
+      if (data.error) {
+        response.error = deserializeError(data.error);
+      } else {
+        response.result = data.result;
+      }
+      pending.responses.push(response);
+    }
+
+    // With presence, we know when all the members have responded.
+    const members = this.channel.getMembers();
+    if (members.length && members.every(member => pending.responded[member.id])) {
+      clearTimeout(pending.timer);
+      delete this._pending[data.id];
+      pending.resolve(pending.responses);
+    }
+  }
+}
+
+/**
+ * Creates the request/response layer of a channel.
+ * @param {_BroadcastChannel} channel - the channel.
+ * @returns {Rpc}
+ */
+const createRpc = channel => new Rpc(channel);
+
+module.exports = {
+  createRpc
+};
@@ -0,0 +1,154 @@
+/**
+ * Validation of the messages, for channels created with a schema.
+ * A schema is one of:
+ * - a validator function (data) => true | false | String | Array of Strings ( the errors );
+ * - a JSON Schema, limited to the keywords below;
+ * - a map of schemas by message type: { key: 'type', types: { add: schema, remove: schema } }.
+ *
+ * Supported JSON Schema keywords: type, enum, const, properties, required, additionalProperties, items,
+ * minItems, maxItems, minimum, maximum, minLength, maxLength, pattern, anyOf.
+ */
+
+const getType = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const hasType = (value, type) => {
+  if (type === 'integer') return typeof value === 'number' && Math.floor(value) === value && isFinite(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return getType(value) === type;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param {Object} schema - the schema.
+ * @param {*} value - the value.
+ * @param {String} path - the path of the value, used in the errors.
+ * @param {Array} errors - the list the errors are added to.
+ * @private
+ */
+const validateJSONSchema = (schema, value, path, errors) => {
+  const at = path || 'message';
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${at} should be ${types.join(' or ')}, got ${getType(value)}`);
+      // The other keywords would only add noise.
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(item => isEqual(item, value))) {
+    errors.push(`${at} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(`${at} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} should match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateJSONSchema(schema.items, item, `${at}[${i}]`, errors));
+    }
+  } else if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${at}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateJSONSchema(properties[key], value[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateJSONSchema(schema.additionalProperties, value[key], `${at}.${key}`, errors);
+      }
+    });
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(sub => {
+      const subErrors = [];
+      validateJSONSchema(sub, value, path, subErrors);
+      return !subErrors.length;
+    });
+    if (!matches) {
+      errors.push(`${at} should match one of the schemas in anyOf`);
+    }
+  }
+};
+
+/**
+ * Calls a validator function, normalizing its result into a list of errors.
+ * @private
+ */
+const runValidator = (validator, value) => {
+  const result = validator(value);
+  if (result === true || result === undefined || result === null) return [];
+  if (result === false) return ['message is invalid'];
+  return [].concat(result).map(String);
+};
+
+/**
+ * Creates the validation function of a schema.
+ * @param {Function|Object} schema - the schema ( see above ).
+ * @returns {Function} (data) => Array, the list of errors ( empty if the data is valid ).
+ */
+const createValidator = schema => {
+  if (typeof schema === 'function') {
+    return value => runValidator(schema, value);
+  }
+
+  if (schema && schema.types) {
+    const key = schema.key || 'type';
+    const validators = {};
+    Object.keys(schema.types).forEach(type => {
+      validators[type] = createValidator(schema.types[type]);
+    });
+    return value => {
+      const type = value !== null && typeof value === 'object' ? value[key] : undefined;
+      if (typeof type !== 'string' || !Object.prototype.hasOwnProperty.call(validators, type)) {
+        return [`message.${key} should be one of ${JSON.stringify(Object.keys(validators))}`];
+      }
+      return validators[type](value);
+    };
+  }
+
+  return value => {
+    const errors = [];
+    validateJSONSchema(schema, value, '', errors);
+    return errors;
+  };
+};
+
+module.exports = {
+  createValidator
+};
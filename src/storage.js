@@ -0,0 +1,52 @@
+/**
+ * Key/value storage used by the modules that persist state ( leases, history, ... ).
+ * localStorage where available; otherwise an in-memory storage, shared by the current context only
+ * ( workers, Node.js, Safari private mode ).
+ */
+const { context } = require('./environment');
+
+const memoryStorage = {
+  items: {},
+  getItem(key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+  },
+  setItem(key, value) {
+    this.items[key] = String(value);
+  },
+  removeItem(key) {
+    delete this.items[key];
+  }
+};
+
+/**
+ * Returns localStorage, if usable, or the in-memory storage.
+ */
+const getStorage = () => {
+  try {
+    const testKey = 'polyBC_test';
+    context.localStorage.setItem(testKey, testKey);
+    context.localStorage.removeItem(testKey);
+    return context.localStorage;
+  } catch(ex) {
+    return memoryStorage;
+  }
+};
+
+/**
+ * Reads a JSON value, null if missing or unreadable.
+ * @param {Object} storage - the storage.
+ * @param {String} key - the key.
+ */
+const readJSON = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch(ex) {
+    return null;
+  }
+};
+
+module.exports = {
+  getStorage,
+  readJSON,
+  memoryStorage
+};
@@ -0,0 +1,232 @@
+/**
+ * Key/value state shared by the tabs, over a channel.
+ * Every value is stamped with a hybrid logical clock [time, counter, node]: when two tabs set the same key,
+ * the write with the greatest stamp wins in every tab ( last-writer-wins ), whatever the order the messages arrive in.
+ * Internal messages:
+ * - { context: 'store', action: 'set', entries } with the changed entries { key: { value, clock } };
+ * - { context: 'store', action: 'sync' } asks the other stores for their state, sent back with a 'set'.
+ */
+const { getTimestamp } = require('./utils');
+const { structuredCloneCodec } = require('./codec');
+const { getStorage } = require('./storage');
+
+const STORE_PREFIX = 'polyBC_store_';
+
+/**
+ * Checks if an error is thrown because the storage quota is exceeded ( NS_ERROR_DOM_QUOTA_REACHED in old Firefox ).
+ * @private
+ */
+const isQuotaExceeded = ex => !!ex && (ex.name === 'QuotaExceededError' || ex.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+/**
+ * Compares two clocks. A missing clock ( initial state ) is older than any other.
+ * @returns {Number} a positive number if a is newer than b, a negative one if it is older.
+ * @private
+ */
+const compareClocks = (a, b) => {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] !== b[1]) return a[1] - b[1];
+  if (a[2] === b[2]) return 0;
+  return a[2] > b[2] ? 1 : -1;
+};
+
+class SharedStore {
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   * @param {Object} initialState - the initial state, overridden by any value set in any tab.
+   * @param {Object} options - see createSharedStore.
+   */
+  constructor(channel, initialState, { persist = true } = {}) {
+    this.channel = channel;
+    this._entries = Object.create(null); // { value, clock }, by key.
+    this._listeners = [];
+    this._clock = [0, 0]; // Last [time, counter] seen.
+    this._storage = persist ? getStorage() : null;
+    this._key = STORE_PREFIX + channel.channelName;
+
+    Object.keys(initialState).forEach(key => {
+      this._entries[key] = { value: initialState[key], clock: null };
+    });
+    this._merge(this._load(), false);
+
+    this._onInternal = (data, envelope) => this._handleMessage(data, envelope);
+    channel._addInternalListener(this._onInternal);
+    channel._postInternal({ context: 'store', action: 'sync' });
+  }
+
+  /**
+   * Returns the value of a key or, without key, a copy of the whole state.
+   * @param {String} [key] - the key.
+   */
+  get(key) {
+    if (key !== undefined) {
+      return key in this._entries ? this._entries[key].value : undefined;
+    }
+    const state = {};
+    Object.keys(this._entries).forEach(k => {
+      state[k] = this._entries[k].value;
+    });
+    return state;
+  }
+
+  /**
+   * Sets the value of a key, or the values of the keys of an object, in every tab.
+   * @param {String|Object} key - the key, or an object with the values by key.
+   * @param {*} [value] - the value.
+   */
+  set(key, value) {
+    if (this.channel.closed) {
+      throw new Error('The store is closed');
+    }
+    const values = typeof key === 'object' && key !== null ? key : { [key]: value };
+    const changes = {};
+    Object.keys(values).forEach(k => {
+      changes[k] = { value: values[k], clock: this._tick() };
+    });
+
+    // Sent first: if a value cannot be cloned ( DataCloneError ), the error is thrown and the state is left unchanged.
+    this.channel._postInternal({ context: 'store', action: 'set', entries: changes });
+    Object.keys(changes).forEach(k => {
+      this._entries[k] = changes[k];
+    });
+    this._save();
+    this._notify(Object.keys(changes));
+  }
+
+  /**
+   * Subscribes to the changes of the state, made by any tab.
+   * @param {Function} listener - called with (state, changedKeys).
+   * @returns {Function} a function that removes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => {
+      const index = this._listeners.indexOf(listener);
+      if (index > -1) {
+        this._listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Stops synchronizing the state, and closes the channel.
+   */
+  close() {
+    this.channel._removeInternalListener(this._onInternal);
+    this._listeners = [];
+    this.channel.close();
+  }
+
+  /**
+   * Returns a new clock, greater than any clock seen so far.
+   * @private
+   */
+  _tick() {
+    const now = getTimestamp();
+    if (now > this._clock[0]) {
+      this._clock = [now, 0];
+    } else {
+      this._clock = [this._clock[0], this._clock[1] + 1];
+    }
+    return [this._clock[0], this._clock[1], this.channel.name];
+  }
+
+  /**
+   * Merges entries set by other stores, keeping the newest value of each key.
+   * @param {Object} entries - the entries, by key.
+   * @param {Boolean} notify - true to notify the listeners.
+   * @private
+   */
+  _merge(entries, notify) {
+    const changedKeys = [];
+    Object.keys(entries || {}).forEach(key => {
+      const entry = entries[key];
+      if (!entry || !Array.isArray(entry.clock)) return;
+
+      // Keeps the local clock ahead of any clock seen.
+      if (compareClocks(entry.clock, this._clock) > 0) {
+        this._clock = [entry.clock[0], entry.clock[1]];
+      }
+      const current = this._entries[key];
+      if (!current || compareClocks(entry.clock, current.clock) > 0) {
+        this._entries[key] = { value: entry.value, clock: entry.clock };
+        changedKeys.push(key);
+      }
+    });
+
+    if (changedKeys.length && notify) {
+      this._save();
+      this._notify(changedKeys);
+    }
+  }
+
+  _handleMessage(data, envelope) {
+    if (!data || data.context !== 'store') return;
+
+    if (data.action === 'set') {
+      this._merge(data.entries, true);
+    } else if (data.action === 'sync') {
+      const entries = {};
+      Object.keys(this._entries).forEach(key => {
+        if (this._entries[key].clock) {
+          entries[key] = this._entries[key];
+        }
+      });
+      this.channel._postInternal({ context: 'store', action: 'set', entries }, { to: envelope.bcId });
+    }
+  }
+
+  _notify(changedKeys) {
+    const state = this.get();
+    this._listeners.slice().forEach(listener => {
+      try {
+        listener(state, changedKeys);
+      } catch(ex) {
+        setTimeout(() => { throw ex; }, 0);
+      }
+    });
+  }
+
+  _load() {
+    if (!this._storage) return null;
+    try {
+      return structuredCloneCodec.deserialize(this._storage.getItem(this._key));
+    } catch(ex) {
+      return null;
+    }
+  }
+
+  _save() {
+    if (!this._storage) return;
+    const entries = {};
+    Object.keys(this._entries).forEach(key => {
+      if (this._entries[key].clock) {
+        entries[key] = this._entries[key];
+      }
+    });
+    try {
+      this._storage.setItem(this._key, structuredCloneCodec.serialize(entries));
+    } catch(ex) {
+      // The quota is exceeded: the state is still shared with the open tabs.
+      if (!isQuotaExceeded(ex)) {
+        throw ex;
+      }
+    }
+  }
+}
+
+/**
+ * Creates a state shared by the tabs ( see BroadcastChannel.createSharedStore ).
+ * @param {_BroadcastChannel} channel - the channel used by the store, closed with it.
+ * @param {Object} [initialState] - the initial state.
+ * @param {Object} [options]
+ * @param {Boolean} [options.persist] - persists the state in localStorage, so that it survives reloads ( default true ).
+ * @returns {SharedStore}
+ */
+const createSharedStore = (channel, initialState = {}, options = {}) => new SharedStore(channel, initialState, options);
+
+module.exports = {
+  createSharedStore
+};
@@ -0,0 +1,558 @@
+/**
+ * Deterministic simulation of several tabs, to unit test the channels in Node.js.
+ * Every virtual tab loads its own instance of the library, with its own window: the tabs share a localStorage,
+ * whose changes are dispatched to the other tabs as 'storage' events ( and to the tab itself, as IE does,
+ * with the ie option ). While the simulation is running, timers, Date and Math.random are replaced: time only
+ * advances with tick ( or next ), and random values are reproducible.
+ * NOTE: this module requires Node.js built-in modules, so it is not included in the browser build:
+ * require it explicitly, e.g. require('@alexis89x/broadcast-channel/src/testing.js').
+ * NOTE: the tasks of native asynchronous APIs ( encryption, deflate compression ) do not follow the virtual clock.
+ * NOTE: tabs are loaded through the module cache of Node.js ( require.cache ), which Jest does not use.
+ */
+const path = require('path');
+const { createDOMException } = require('./utils');
+
+// Root of the library, whose modules are loaded once per tab.
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULT_START = Date.UTC(2021, 0, 1);
+
+let _installed = null; // The running simulation.
+
+/**
+ * Returns a seeded pseudo-random generator ( mulberry32 ).
+ * @private
+ */
+const createRandom = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = seed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const isLibraryModule = file => file.indexOf(ROOT + path.sep) === 0 &&
+  file.indexOf(`${path.sep}node_modules${path.sep}`) < 0;
+
+/**
+ * Requires a module of the library in the module cache of a tab, with the window of the tab as global context.
+ * @param {Object} cache - the modules of the tab, by file name.
+ * @param {Object} window - the window of the tab.
+ * @param {String} request - the module, relative to the root of the library ( e.g. 'polyfill', 'src/store' ).
+ * @private
+ */
+const requireInTab = (cache, window, request) => {
+  const outside = {};
+  Object.keys(require.cache).filter(isLibraryModule).forEach(file => {
+    outside[file] = require.cache[file];
+    delete require.cache[file];
+  });
+  Object.keys(cache).forEach(file => {
+    require.cache[file] = cache[file];
+  });
+  const hadWindow = Object.prototype.hasOwnProperty.call(global, 'window');
+  const previousWindow = global.window;
+  global.window = window;
+
+  try {
+    return require(path.resolve(ROOT, request));
+  } finally {
+    if (hadWindow) {
+      global.window = previousWindow;
+    } else {
+      delete global.window;
+    }
+    Object.keys(require.cache).filter(isLibraryModule).forEach(file => {
+      cache[file] = require.cache[file];
+      delete require.cache[file];
+    });
+    Object.keys(outside).forEach(file => {
+      require.cache[file] = outside[file];
+    });
+  }
+};
+
+class VirtualClock {
+
+  /**
+   * @param {Number} now - the initial time.
+   * @param {Function} onError - called with the errors thrown by the tasks.
+   */
+  constructor(now, onError) {
+    this._now = now;
+    this._onError = onError;
+    this._tasks = []; // { id, seq, time, fn, args, interval }, in order of execution.
+    this._lastId = 0;
+    this._lastSeq = 0;
+  }
+
+  /**
+   * The current time.
+   * @returns {Number}
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * The number of tasks waiting.
+   * @type {Number}
+   */
+  get pending() {
+    return this._tasks.length;
+  }
+
+  setTimeout(fn, delay, ...args) {
+    return this._add({ fn, args, time: this._now + Math.max(0, Number(delay) || 0), interval: 0 });
+  }
+
+  setInterval(fn, delay, ...args) {
+    const interval = Math.max(1, Number(delay) || 0);
+    return this._add({ fn, args, time: this._now + interval, interval });
+  }
+
+  /**
+   * Cancels a timeout or an interval ( as in browsers, they share their ids ).
+   * @param {Number} id - the timer id.
+   */
+  clear(id) {
+    this._tasks = this._tasks.filter(task => task.id !== id);
+  }
+
+  /**
+   * Runs the next task, if it is due by the given time.
+   * @param {Number} [limit] - the time limit.
+   * @returns {Boolean} false if no task has run.
+   */
+  runNext(limit = Infinity) {
+    const task = this._tasks[0];
+    if (!task || task.time > limit) return false;
+
+    this._tasks.shift();
+    this._now = Math.max(this._now, task.time);
+    if (task.interval) {
+      task.time += task.interval;
+      this._insert(task);
+    }
+    try {
+      task.fn.apply(null, task.args);
+    } catch(ex) {
+      this._onError(ex);
+    }
+    return true;
+  }
+
+  /**
+   * Moves the time forward, without running the tasks.
+   * @param {Number} time - the new time.
+   */
+  setTime(time) {
+    this._now = Math.max(this._now, time);
+  }
+
+  _add(task) {
+    task.id = ++this._lastId;
+    this._insert(task);
+    return task.id;
+  }
+
+  /**
+   * Inserts a task after the tasks due at the same time, so that they run in the order they were scheduled.
+   * @private
+   */
+  _insert(task) {
+    task.seq = ++this._lastSeq;
+    let index = this._tasks.length;
+    while (index > 0 && this._tasks[index - 1].time > task.time) {
+      index--;
+    }
+    this._tasks.splice(index, 0, task);
+  }
+}
+
+/**
+ * The localStorage of a tab: a view of the storage shared by the tabs of the simulation.
+ */
+class VirtualStorage {
+
+  /**
+   * @param {Simulation} simulation - the simulation.
+   * @param {VirtualTab|null} tab - the tab writing through the view, null for the simulation itself.
+   */
+  constructor(simulation, tab) {
+    this._simulation = simulation;
+    this._tab = tab;
+  }
+
+  get length() {
+    return this._simulation._items.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this._simulation._items.keys());
+    return index >= 0 && index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    const items = this._simulation._items;
+    return items.has(String(key)) ? items.get(String(key)) : null;
+  }
+
+  setItem(key, value) {
+    this._simulation._write(this._tab, String(key), String(value));
+  }
+
+  removeItem(key) {
+    this._simulation._write(this._tab, String(key), null);
+  }
+
+  clear() {
+    this._simulation._clear(this._tab);
+  }
+}
+
+class VirtualTab {
+
+  /**
+   * @param {Simulation} simulation - the simulation.
+   * @param {Object} options - see Simulation.openTab.
+   */
+  constructor(simulation, { id, url, ie = false }) {
+    this.id = id;
+    this.url = url;
+    this.ie = ie;
+    this.closed = false;
+    this.reloads = 0; // Number of calls to location.reload.
+    this._simulation = simulation;
+    this._modules = {}; // The library modules loaded by the tab, by file name.
+    this._listeners = {}; // Event listeners of the window, by event type.
+    this._suspended = false;
+    this._held = []; // Events received while suspended.
+
+    const tab = this;
+    this.window = {
+      document: {},
+      location: {
+        href: url,
+        origin: simulation.origin,
+        reload() {
+          tab.reloads++;
+        }
+      },
+      navigator: {},
+      crypto: global.crypto,
+      localStorage: new VirtualStorage(simulation, this),
+      addEventListener(type, listener) {
+        const listeners = tab._listeners[type] = tab._listeners[type] || [];
+        if (listener && listeners.indexOf(listener) < 0) {
+          listeners.push(listener);
+        }
+      },
+      removeEventListener(type, listener) {
+        const listeners = tab._listeners[type] || [];
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+          listeners.splice(index, 1);
+        }
+      },
+      dispatchEvent(event) {
+        tab._dispatch(event);
+        return true;
+      }
+    };
+  }
+
+  /**
+   * The BroadcastChannel class of the tab ( the polyfill ).
+   * @type {Function}
+   */
+  get BroadcastChannel() {
+    return this.require('polyfill');
+  }
+
+  /**
+   * Requires a module of the library, loaded by the tab.
+   * @param {String} request - the module, relative to the root of the library ( e.g. 'src/store', 'src/debug' ).
+   */
+  require(request) {
+    return requireInTab(this._modules, this.window, request);
+  }
+
+  /**
+   * Holds the storage events received by the tab, e.g. to simulate a throttled background tab.
+   */
+  suspend() {
+    this._suspended = true;
+  }
+
+  /**
+   * Dispatches the storage events held, in order, and the following ones as they arrive.
+   */
+  resume() {
+    this._suspended = false;
+    const held = this._held;
+    this._held = [];
+    held.forEach(event => this._simulation.clock.setTimeout(() => this._receive(event), 0));
+  }
+
+  /**
+   * Closes the tab: dispatches 'pagehide', then closes its channels. The tab receives no more events.
+   */
+  close() {
+    if (this.closed) return;
+    this._dispatch({ type: 'pagehide', persisted: false });
+    const cached = this._modules[require.resolve(path.join(ROOT, 'polyfill'))];
+    if (cached && cached.loaded) {
+      cached.exports.closeAll();
+    }
+    this.closed = true;
+    this._held = [];
+    this._listeners = {};
+  }
+
+  _receive(event) {
+    if (this.closed) return;
+    if (this._suspended) {
+      this._held.push(event);
+      return;
+    }
+    this._dispatch(event);
+  }
+
+  /**
+   * Calls the listeners of an event. As in browsers, their errors are reported, not thrown.
+   * @private
+   */
+  _dispatch(event) {
+    (this._listeners[event.type] || []).slice().forEach(listener => {
+      try {
+        if (typeof listener === 'function') {
+          listener.call(this.window, event);
+        } else if (listener && typeof listener.handleEvent === 'function') {
+          listener.handleEvent(event);
+        }
+      } catch(ex) {
+        this._simulation.errors.push(ex);
+      }
+    });
+  }
+}
+
+class Simulation {
+
+  /**
+   * @param {Object} options - see createSimulation.
+   */
+  constructor({ origin = 'http://localhost', now = DEFAULT_START, seed = 1, latency = 0, quota = Infinity } = {}) {
+    this.origin = origin;
+    this.errors = []; // Errors thrown by the tasks and the event listeners.
+    this.clock = new VirtualClock(now, ex => this.errors.push(ex));
+    this.random = createRandom(seed);
+    this.localStorage = new VirtualStorage(this, null);
+    this._items = new Map();
+    this._latency = latency;
+    this._quota = quota;
+    this._tabs = [];
+    this._lastTabId = 0;
+    this._install();
+  }
+
+  /**
+   * The open tabs.
+   * @type {Array}
+   */
+  get tabs() {
+    return this._tabs.filter(tab => !tab.closed);
+  }
+
+  /**
+   * Opens a tab.
+   * @param {Object} [options]
+   * @param {String} [options.url] - the URL of the page ( default: the origin ).
+   * @param {Boolean} [options.ie] - dispatches the storage events to the tab that has changed the storage too, as IE does.
+   * @returns {VirtualTab}
+   */
+  openTab({ url, ie = false } = {}) {
+    this._check();
+    const tab = new VirtualTab(this, { id: `tab-${++this._lastTabId}`, url: url || `${this.origin}/`, ie });
+    this._tabs.push(tab);
+    return tab;
+  }
+
+  /**
+   * Moves the time forward, running the tasks due in the meantime, in order.
+   * The pending promise callbacks run after every task.
+   * @param {Number} [ms] - the duration ( default 0: runs the tasks that are due ).
+   * @returns {Promise} resolved once the time has moved forward.
+   */
+  tick(ms = 0) {
+    this._check();
+    const target = this.clock.now() + ms;
+    const step = () => this._drain().then(() => {
+      if (this.clock.runNext(target)) {
+        return step();
+      }
+      this.clock.setTime(target);
+      return undefined;
+    });
+    return step();
+  }
+
+  /**
+   * Moves the time to the next task, and runs it.
+   * @returns {Promise} resolved with false if there was no task.
+   */
+  next() {
+    this._check();
+    return this._drain().then(() => {
+      const hasRun = this.clock.runNext();
+      return this._drain().then(() => hasRun);
+    });
+  }
+
+  /**
+   * Closes the tabs and restores the timers, Date and Math.random.
+   */
+  destroy() {
+    if (_installed !== this) return;
+    this._tabs.forEach(tab => tab.close());
+    this._uninstall();
+  }
+
+  /**
+   * Writes a value in the storage, and dispatches the storage event to the tabs.
+   * @param {VirtualTab|null} source - the tab writing the value.
+   * @param {String} key - the key.
+   * @param {String|null} value - the value, null to remove the key.
+   * @private
+   */
+  _write(source, key, value) {
+    const oldValue = this._items.has(key) ? this._items.get(key) : null;
+    if (oldValue === value) return;
+
+    if (value === null) {
+      this._items.delete(key);
+    } else {
+      let size = key.length + value.length - (oldValue === null ? 0 : key.length + oldValue.length);
+      this._items.forEach((item, itemKey) => {
+        size += itemKey.length + item.length;
+      });
+      if (size > this._quota) {
+        throw createDOMException(`Setting the value of '${key}' exceeded the quota.`, 'QuotaExceededError');
+      }
+      this._items.set(key, value);
+    }
+    this._broadcast(source, { key, oldValue, newValue: value });
+  }
+
+  _clear(source) {
+    if (!this._items.size) return;
+    this._items.clear();
+    this._broadcast(source, { key: null, oldValue: null, newValue: null });
+  }
+
+  /**
+   * Schedules the storage event of a change, in every tab but the source ( unless it is an IE tab ).
+   * @private
+   */
+  _broadcast(source, change) {
+    this.tabs.forEach(target => {
+      if (target === source && !target.ie) return;
+      const event = {
+        type: 'storage',
+        key: change.key,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+        url: source ? source.url : `${this.origin}/`,
+        storageArea: target.window.localStorage
+      };
+      const delay = typeof this._latency === 'function' ? this._latency(event, source, target) : this._latency;
+      this.clock.setTimeout(() => target._receive(event), delay);
+    });
+  }
+
+  /**
+   * Runs the pending promise callbacks.
+   * @private
+   */
+  _drain() {
+    return new Promise(resolve => this._globals.setImmediate(resolve));
+  }
+
+  _check() {
+    if (_installed !== this) {
+      throw createDOMException('The simulation has been destroyed.', 'InvalidStateError');
+    }
+  }
+
+  /**
+   * Replaces the timers, Date and Math.random with the ones of the simulation.
+   * @private
+   */
+  _install() {
+    if (_installed) {
+      throw createDOMException('Another simulation is running: destroy it first.', 'InvalidStateError');
+    }
+    _installed = this;
+
+    const clock = this.clock;
+    const RealDate = Date;
+    this._globals = {
+      setTimeout: global.setTimeout,
+      clearTimeout: global.clearTimeout,
+      setInterval: global.setInterval,
+      clearInterval: global.clearInterval,
+      setImmediate: global.setImmediate,
+      Date: RealDate,
+      random: Math.random
+    };
+
+    function VirtualDate(...args) {
+      if (!(this instanceof VirtualDate)) {
+        return new RealDate(clock.now()).toString();
+      }
+      return args.length ? new RealDate(...args) : new RealDate(clock.now());
+    }
+    VirtualDate.prototype = RealDate.prototype;
+    VirtualDate.now = () => clock.now();
+    VirtualDate.UTC = RealDate.UTC;
+    VirtualDate.parse = RealDate.parse;
+
+    global.setTimeout = (fn, delay, ...args) => clock.setTimeout(fn, delay, ...args);
+    global.setInterval = (fn, delay, ...args) => clock.setInterval(fn, delay, ...args);
+    global.clearTimeout = id => clock.clear(id);
+    global.clearInterval = id => clock.clear(id);
+    global.Date = VirtualDate;
+    Math.random = this.random;
+  }
+
+  _uninstall() {
+    const globals = this._globals;
+    global.setTimeout = globals.setTimeout;
+    global.clearTimeout = globals.clearTimeout;
+    global.setInterval = globals.setInterval;
+    global.clearInterval = globals.clearInterval;
+    global.Date = globals.Date;
+    Math.random = globals.random;
+    _installed = null;
+  }
+}
+
+/**
+ * Creates a simulation of several tabs of the same origin. Only one simulation can run at a time:
+ * destroy it at the end of the test.
+ * @param {Object} [options]
+ * @param {String} [options.origin] - the origin of the tabs ( default 'http://localhost' ).
+ * @param {Number} [options.now] - the initial time ( default 2021-01-01 ).
+ * @param {Number} [options.seed] - the seed of Math.random ( default 1 ).
+ * @param {Number|Function} [options.latency] - ms before a tab receives a storage event ( default 0 ), or a function
+ * called with (event, sourceTab, targetTab) returning it, e.g. to deliver the events out of order.
+ * @param {Number} [options.quota] - maximum length of the keys and values in localStorage, beyond which setItem throws
+ * a QuotaExceededError.
+ * @returns {Simulation}
+ */
+const createSimulation = options => new Simulation(options);
+
+module.exports = {
+  createSimulation
+};
@@ -0,0 +1,39 @@
+/**
+ * Topic matching, for channel.subscribe().
+ * Topics are dot-separated segments ( e.g. 'cart.item.added' ); in patterns,
+ * '*' matches exactly one segment and '**' matches any number of segments ( even none ).
+ */
+
+/**
+ * Checks if a topic matches a pattern.
+ * @param {String} pattern - the pattern, e.g. 'cart.*'.
+ * @param {String} topic - the topic, e.g. 'cart.add'.
+ * @returns {Boolean}
+ */
+const matchTopic = (pattern, topic) => {
+  const patternParts = String(pattern).split('.');
+  const topicParts = String(topic).split('.');
+
+  const match = (p, t) => {
+    if (p === patternParts.length) {
+      return t === topicParts.length;
+    }
+    if (patternParts[p] === '**') {
+      // Tries to match the rest of the pattern after skipping 0..n segments.
+      for (let skip = t; skip <= topicParts.length; skip++) {
+        if (match(p + 1, skip)) return true;
+      }
+      return false;
+    }
+    if (t === topicParts.length) {
+      return false;
+    }
+    return (patternParts[p] === '*' || patternParts[p] === topicParts[t]) && match(p + 1, t + 1);
+  };
+
+  return match(0, 0);
+};
+
+module.exports = {
+  matchTopic
+};
@@ -0,0 +1,68 @@
+/**
+ * Hub page script for the 'bridge' transport.
+ * Serve a page including this script from the hub origin, after declaring the allowed origins:
+ *   <script>window.polyBCHubConfig = { allowedOrigins: ['https://app.example.com', 'https://admin.example.com'] };</script>
+ *   <script src="bridge-hub.js"></script>
+ * See examples/hub.html.
+ * NOTE: this is a standalone page script, it must not be bundled with the rest of the library.
+ */
+(function(context) {
+  const MESSAGE_TYPE = 'polyBC_message';
+  const HELLO_TYPE = 'polyBC_hello';
+  const READY_TYPE = 'polyBC_ready';
+  const _prefix = 'polyBC_bridge_'; // prefix to identify localStorage keys.
+
+  const config = context.polyBCHubConfig || {};
+  const allowedOrigins = config.allowedOrigins || [];
+  let parentOrigin = null; // Origin of the tab embedding the hub, once allowed.
+
+  const isAllowed = origin => allowedOrigins.indexOf(origin) > -1;
+
+  const toParent = data => {
+    if (parentOrigin) {
+      context.parent.postMessage(data, parentOrigin);
+    }
+  };
+
+  /**
+   * Relays messages among the hub frames of the other tabs:
+   * with the native BroadcastChannel if available, with the storage event otherwise.
+   */
+  const createRelay = onMessage => {
+    if (typeof context.BroadcastChannel === 'function') {
+      const bc = new context.BroadcastChannel(_prefix + 'relay');
+      bc.onmessage = ev => onMessage(ev.data);
+      return data => bc.postMessage(data);
+    }
+
+    context.addEventListener('storage', ev => {
+      if (ev.key && ev.key.indexOf(_prefix) === 0 && ev.newValue) {
+        try {
+          onMessage(JSON.parse(ev.newValue));
+        } catch(ex) {
+          // Not a relayed message.
+        }
+      }
+    }, false);
+    return data => {
+      const key = _prefix + Math.random().toString(36).slice(2);
+      context.localStorage.setItem(key, JSON.stringify(data));
+      setTimeout(() => context.localStorage.removeItem(key), 1000);
+    };
+  };
+
+  const relay = createRelay(toParent);
+
+  context.addEventListener('message', ev => {
+    // Only the embedding tab, from an allowed origin, can talk to the hub.
+    if (ev.source !== context.parent || !isAllowed(ev.origin) || !ev.data) return;
+
+    if (ev.data.type === HELLO_TYPE) {
+      parentOrigin = ev.origin;
+      toParent({ type: READY_TYPE });
+    } else if (ev.data.type === MESSAGE_TYPE && ev.origin === parentOrigin) {
+      relay(ev.data);
+    }
+  }, false);
+
+})(window);
@@ -0,0 +1,79 @@
+/**
+ * Cross-origin bridge transport.
+ * Every tab embeds a hidden iframe of the same hub page ( see bridge-hub.js ): tabs talk to their hub frame with
+ * window.postMessage, and the hub frames relay messages among them, so tabs of different origins share channels.
+ * NOTE: browsers partition the storage of third-party frames by top-level site, so the hub must be same-site
+ * with the tabs ( e.g. hub.example.com for app.example.com and admin.example.com ).
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+const HELLO_TYPE = 'polyBC_hello';
+const READY_TYPE = 'polyBC_ready';
+
+/**
+ * Creates the bridge transport.
+ * @param {Object} options
+ * @param {String} options.hubUrl - the URL of the hub page, which must allow the origin of the tab.
+ */
+const createBridgeTransport = ({ hubUrl } = {}) => ({
+  name: 'bridge',
+
+  isSupported(context) {
+    return !!hubUrl && !!context.document && typeof context.addEventListener === 'function';
+  },
+
+  open(context, receive) {
+    const doc = context.document;
+    const hubOrigin = new URL(hubUrl, context.location.href).origin;
+    let ready = false;
+    let pending = []; // Messages posted before the hub is ready.
+
+    const iframe = doc.createElement('iframe');
+    iframe.style.display = 'none';
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.tabIndex = -1;
+    iframe.src = hubUrl;
+
+    const send = msg => iframe.contentWindow.postMessage(msg, hubOrigin);
+
+    const onMessage = ev => {
+      // Only the hub frame is trusted.
+      if (ev.source !== iframe.contentWindow || ev.origin !== hubOrigin || !ev.data) return;
+
+      if (ev.data.type === READY_TYPE) {
+        ready = true;
+        pending.forEach(send);
+        pending = [];
+      } else if (ev.data.type === MESSAGE_TYPE) {
+        receive(ev.data.raw, ev.data.channelId);
+      }
+    };
+
+    context.addEventListener('message', onMessage, false);
+    // The hub learns our origin ( and checks it against its allowlist ) from the hello message.
+    iframe.addEventListener('load', () => send({ type: HELLO_TYPE }), false);
+    (doc.body || doc.documentElement).appendChild(iframe);
+
+    return {
+      post(channelId, raw) {
+        const msg = { type: MESSAGE_TYPE, channelId, raw };
+        if (ready) {
+          send(msg);
+        } else {
+          pending.push(msg);
+        }
+      },
+      close() {
+        context.removeEventListener('message', onMessage, false);
+        if (iframe.parentNode) {
+          iframe.parentNode.removeChild(iframe);
+        }
+        pending = [];
+      }
+    };
+  }
+});
+
+module.exports = {
+  createBridgeTransport
+};
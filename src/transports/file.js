@@ -0,0 +1,106 @@
+/**
+ * File transport, for Node.js only.
+ * Every message is written as a file in a directory shared by the processes, which poll it for new files.
+ * NOTE: this module requires Node.js built-in modules, so it is not included in transports/index.js:
+ * require it explicitly and pass createFileTransport() as transport.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRandomString, getTimestamp } = require('../utils');
+
+const EXTENSION = '.msg';
+
+/**
+ * Creates the file transport.
+ * @param {Object} [options]
+ * @param {String} [options.dir] - the directory shared by the processes ( defaults to a polyBC folder in the OS temp dir ).
+ * @param {Number} [options.pollInterval] - ms between two reads of the directory.
+ * @param {Number} [options.ttl] - ms after which a message file is removed.
+ */
+const createFileTransport = ({ dir = path.join(os.tmpdir(), 'polyBC'), pollInterval = 100, ttl = 10000 } = {}) => ({
+  name: 'file',
+
+  isSupported() {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.accessSync(dir, fs.constants.R_OK | fs.constants.W_OK);
+      return true;
+    } catch(ex) {
+      return false;
+    }
+  },
+
+  open(context, receive) {
+    let seen = {}; // Files already read, by file name.
+    let timer = null;
+    let closed = false;
+    let counter = 0;
+
+    const list = () => fs.readdirSync(dir).filter(file => file.slice(-EXTENSION.length) === EXTENSION).sort();
+
+    // Files existing when the transport is opened are old messages.
+    list().forEach(file => { seen[file] = true; });
+
+    const poll = () => {
+      if (closed) return;
+      fs.readdir(dir, (err, files) => {
+        if (closed) return;
+        const nextSeen = {};
+        const now = getTimestamp();
+
+        (err ? [] : files.filter(file => file.slice(-EXTENSION.length) === EXTENSION).sort()).forEach(file => {
+          const filePath = path.join(dir, file);
+          const time = file.split('~')[0];
+
+          if (now - Number(time) > ttl) {
+            fs.unlink(filePath, () => {});
+            return;
+          }
+          nextSeen[file] = true;
+          if (!seen[file]) {
+            try {
+              receive(fs.readFileSync(filePath, 'utf8'));
+            } catch(ex) {
+              // The file has been removed in the meantime.
+            }
+          }
+        });
+
+        // Forgets the files that no longer exist.
+        seen = nextSeen;
+        schedule();
+      });
+    };
+
+    const schedule = () => {
+      timer = setTimeout(poll, pollInterval);
+      // The transport must not keep the process alive.
+      if (timer.unref) {
+        timer.unref();
+      }
+    };
+
+    schedule();
+
+    return {
+      post(channelId, raw) {
+        // File names sort by time: <time>~<counter><random>.msg
+        const time = String(getTimestamp()).padStart(15, '0');
+        const name = `${time}~${String(counter++).padStart(6, '0')}${getRandomString()}`;
+        const tmpPath = path.join(dir, `${name}.tmp`);
+        // Writes and renames, so that the other processes never read a partial file.
+        fs.writeFileSync(tmpPath, raw, 'utf8');
+        fs.renameSync(tmpPath, path.join(dir, name + EXTENSION));
+      },
+      close() {
+        closed = true;
+        clearTimeout(timer);
+      }
+    };
+  }
+});
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,128 @@
+/**
+ * Transport layer.
+ * A transport carries serialized envelopes to the other tabs (same-tab delivery is done by the channel itself).
+ * A transport is an object with:
+ * - name {String}
+ * - isSupported(context) {Boolean}
+ * - open(context, receive) returning a handle { post(channelId, raw), close(), join?(channelId), leave?(channelId) }.
+ *   receive(raw, channelId) must be called for every envelope received from another tab, and returns
+ *   true if the envelope was for a channel open in the current tab.
+ */
+const { environment } = require('../environment');
+const { createDOMException } = require('../utils');
+const { createNativeTransport } = require('./native');
+const { createLocalStorageTransport } = require('./local-storage');
+const { createIndexedDBTransport } = require('./indexed-db');
+const { createServiceWorkerTransport } = require('./service-worker');
+const { createSharedWorkerTransport } = require('./shared-worker');
+const { createMemoryTransport } = require('./memory');
+const { createBridgeTransport } = require('./bridge');
+
+// Built-in transports, by name.
+// NOTE: the SharedWorker and bridge transports need the hub URL, so they can only be used
+// via createSharedWorkerTransport and createBridgeTransport.
+const transports = {
+  native: createNativeTransport(),
+  localstorage: createLocalStorageTransport(),
+  indexeddb: createIndexedDBTransport(),
+  serviceworker: createServiceWorkerTransport(),
+  memory: createMemoryTransport()
+};
+
+// Transports tried, in order of preference, when none is specified.
+// NOTE: in Node.js, without worker_threads BroadcastChannel, channels only reach the current process
+// ( see transports/file.js for a cross-process transport ).
+const DEFAULT_TRANSPORTS = environment === 'node' ?
+  ['native', 'memory'] :
+  ['native', 'localstorage', 'indexeddb'];
+
+// Open transport handles, by transport object: transports with the same name but different options
+// ( e.g. two file transports on different directories ) have handles of their own.
+const _open = new Map();
+
+/**
+ * Returns the first supported transport.
+ * @param {String|Object|Array} [transport] - a transport name or object, or a list of them in order of preference.
+ * @param {Object} context - the global context.
+ * @returns {Object|null} the transport, null if none is supported.
+ */
+const resolveTransport = (transport = DEFAULT_TRANSPORTS, context) => {
+  const candidates = [].concat(transport);
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = typeof candidates[i] === 'string' ? transports[candidates[i]] : candidates[i];
+    if (candidate && candidate.isSupported(context)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Subscribes a channel to a transport.
+ * Transport handles are shared among channels: they are opened on the first subscription and closed on the last.
+ * @param {Object} transport - the transport.
+ * @param {String} channelId - the channel identifier.
+ * @param {Object} context - the global context.
+ * @param {Function} receive - the receive callback, see above, called with the transport as third argument.
+ * @returns {Object} the subscription { name, transport, post(raw), close() }.
+ */
+const subscribe = (transport, channelId, context, receive) => {
+  let entry = _open.get(transport);
+  if (!entry) {
+    entry = {
+      // Messages are delivered to the channels subscribed to this transport only.
+      handle: transport.open(context, (raw, id) => receive(raw, id, transport)),
+      channels: {}, // Number of subscriptions, by channel identifier.
+      refs: 0
+    };
+    _open.set(transport, entry);
+  }
+
+  entry.refs++;
+  entry.channels[channelId] = (entry.channels[channelId] || 0) + 1;
+  if (entry.channels[channelId] === 1 && entry.handle.join) {
+    entry.handle.join(channelId);
+  }
+
+  let closed = false;
+  return {
+    name: transport.name,
+    transport,
+    post: raw => {
+      if (closed) {
+        // The handle may have left the channel, or be closed.
+        throw createDOMException('The transport subscription is closed.', 'InvalidStateError');
+      }
+      entry.handle.post(channelId, raw);
+    },
+    close: () => {
+      if (closed) return;
+      closed = true;
+
+      if (!--entry.channels[channelId]) {
+        delete entry.channels[channelId];
+        if (entry.handle.leave) {
+          entry.handle.leave(channelId);
+        }
+      }
+      if (!--entry.refs) {
+        entry.handle.close();
+        _open.delete(transport);
+      }
+    }
+  };
+};
+
+module.exports = {
+  transports,
+  DEFAULT_TRANSPORTS,
+  resolveTransport,
+  subscribe,
+  createNativeTransport,
+  createLocalStorageTransport,
+  createIndexedDBTransport,
+  createServiceWorkerTransport,
+  createSharedWorkerTransport,
+  createMemoryTransport,
+  createBridgeTransport
+};
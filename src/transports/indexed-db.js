@@ -0,0 +1,169 @@
+/**
+ * IndexedDB transport.
+ * Messages are added to an object store, which every tab polls for new records.
+ * Works where localStorage is disabled and inside workers.
+ * NOTE: where the database cannot be opened ( e.g. in some private modes ), isSupported cannot tell in advance:
+ * the failure is reported asynchronously, and posting then throws a NotSupportedError.
+ */
+const { getTimestamp, createDOMException } = require('../utils');
+
+const DB_NAME = 'polyBC';
+const STORE_NAME = 'messages';
+
+/**
+ * Creates the IndexedDB transport.
+ * @param {Object} [options]
+ * @param {Number} [options.pollInterval] - ms between two reads of the message store.
+ * @param {Number} [options.ttl] - ms after which a message is removed from the store.
+ */
+const createIndexedDBTransport = ({ pollInterval = 150, ttl = 10000 } = {}) => ({
+  name: 'indexeddb',
+
+  isSupported(context) {
+    return !!context.indexedDB;
+  },
+
+  open(context, receive) {
+    let db = null;
+    let lastId = 0; // Last message read from the store.
+    let pending = []; // Messages posted before the database was opened.
+    let timer = null;
+    let lastCleanUp = 0;
+    let closed = false;
+    let failure = null; // The error that made the database unusable.
+
+    // Errors happening outside of a call to post are reported, not thrown.
+    const report = error => setTimeout(() => { throw error; }, 0);
+
+    const fail = error => {
+      if (failure || closed) return;
+      const reason = error && error.message ? `: ${error.message}` : '';
+      failure = createDOMException(`The IndexedDB transport cannot be used${reason}`, 'NotSupportedError');
+      clearTimeout(timer);
+      if (pending.length) {
+        pending = [];
+        report(failure);
+      }
+      if (db) {
+        db.close();
+      }
+    };
+
+    const add = (channelId, raw) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      tx.objectStore(STORE_NAME).add({ channelId, raw, time: getTimestamp() });
+      // The message is lost ( e.g. the quota is exceeded ).
+      tx.onabort = () => report(tx.error || createDOMException('The message could not be stored.', 'AbortError'));
+    };
+
+    // Removes the expired messages (at most once per ttl).
+    const cleanUp = () => {
+      if (getTimestamp() - lastCleanUp < ttl) return;
+      lastCleanUp = getTimestamp();
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const range = context.IDBKeyRange.upperBound(getTimestamp() - ttl);
+      const request = tx.objectStore(STORE_NAME).index('time').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    };
+
+    const poll = () => {
+      if (closed || failure) return;
+      let tx;
+      try {
+        tx = db.transaction(STORE_NAME, 'readonly');
+      } catch(ex) {
+        // The connection has been closed by the browser.
+        fail(ex);
+        return;
+      }
+      const request = tx.objectStore(STORE_NAME).openCursor(context.IDBKeyRange.lowerBound(lastId, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          lastId = cursor.key;
+          receive(cursor.value.raw, cursor.value.channelId);
+          cursor.continue();
+        }
+      };
+      // An aborted read is retried at the next poll.
+      let done = false;
+      tx.oncomplete = tx.onabort = () => {
+        if (done || closed || failure) return;
+        done = true;
+        try {
+          cleanUp();
+        } catch(ex) {
+          // The expired messages are removed at the next poll.
+        }
+        timer = setTimeout(poll, pollInterval);
+      };
+    };
+
+    const onOpen = result => {
+      db = result;
+      if (closed || failure) {
+        db.close();
+        return;
+      }
+      db.onclose = () => fail(createDOMException('The database has been closed by the browser.', 'InvalidStateError'));
+      // Starts reading after the last stored message: older messages are not delivered.
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const last = tx.objectStore(STORE_NAME).openCursor(null, 'prev');
+      last.onsuccess = () => {
+        lastId = last.result ? last.result.key : 0;
+      };
+      tx.oncomplete = () => {
+        pending.forEach(args => add(args[0], args[1]));
+        pending = [];
+        poll();
+      };
+      tx.onabort = () => fail(tx.error);
+    };
+
+    let request;
+    try {
+      request = context.indexedDB.open(DB_NAME, 1);
+    } catch(ex) {
+      fail(ex);
+    }
+    if (request) {
+      request.onerror = () => fail(request.error);
+      request.onblocked = () => fail(createDOMException('The database is blocked by another connection.', 'InvalidStateError'));
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('time', 'time');
+      };
+      request.onsuccess = () => onOpen(request.result);
+    }
+
+    return {
+      post(channelId, raw) {
+        if (failure) {
+          throw failure;
+        }
+        if (db && !pending.length) {
+          add(channelId, raw);
+        } else {
+          pending.push([channelId, raw]);
+        }
+      },
+      close() {
+        closed = true;
+        clearTimeout(timer);
+        if (db) {
+          db.close();
+        }
+      }
+    };
+  }
+});
+
+module.exports = {
+  createIndexedDBTransport
+};
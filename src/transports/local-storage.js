@@ -0,0 +1,151 @@
+/**
+ * localStorage transport.
+ * Messages are written to a localStorage key (and removed after a while):
+ * the other tabs of the same origin receive them through the 'storage' event.
+ */
+const { getRandomString, getTimestamp } = require('../utils');
+const { splitMessage, createReassembler } = require('../chunking');
+const { createJanitor } = require('../janitor');
+
+const _prefix = 'polyBC_'; // prefix to identify localStorage keys.
+const _messagePrefix = `${_prefix}message_`;
+const _chunkPrefix = `${_prefix}chunk_`;
+
+/**
+ * Extracts the channel identifier from a message key.
+ * Keys are built as `${_prefix}message_${randomString}.${timestamp}_${channelId}`.
+ * @param {String} key - the localStorage key.
+ * @private
+ */
+const getChannelIdFromKey = key => {
+  const start = key.indexOf('_', key.indexOf(_messagePrefix) + _messagePrefix.length);
+  return start > -1 ? key.substring(start + 1) : null;
+};
+
+/**
+ * Chunks are stored as `${_prefix}chunk_${messageId}_${seq}_${channelId}` keys,
+ * with `${seq}:${total}:${checksum}:${data}` values.
+ * @private
+ */
+const buildChunkKey = (chunk, channelId) => `${_chunkPrefix}${chunk.id}_${chunk.seq}_${channelId}`;
+
+const buildChunkValue = chunk => `${chunk.seq}:${chunk.total}:${chunk.checksum}:${chunk.data}`;
+
+const parseChunk = (key, value) => {
+  const parts = key.substring(key.indexOf(_chunkPrefix) + _chunkPrefix.length).split('_');
+  const header = value.split(':', 3);
+  return {
+    channelId: parts.slice(2).join('_'),
+    chunk: {
+      id: parts[0],
+      seq: Number(header[0]),
+      total: Number(header[1]),
+      checksum: header[2],
+      data: value.substring(header.join(':').length + 1)
+    }
+  };
+};
+
+/**
+ * Creates the localStorage transport.
+ * Messages longer than chunkSize are split into several keys: each chunk is removed as soon as it is written
+ * ( the storage event carries its value ), so messages larger than the localStorage quota can be sent.
+ * Keys left behind by closed tabs are removed by the janitor.
+ * @param {Object} [options]
+ * @param {Number} [options.removeDelay] - ms after which a sent message is removed from localStorage.
+ * @param {Number} [options.chunkSize] - maximum length of a message written in a single key.
+ * @param {Number} [options.chunkTimeout] - ms after which an incomplete chunked message is discarded.
+ * @param {Number} [options.janitorInterval] - ms between two sweeps of the expired keys ( among all tabs ).
+ * @param {Number} [options.maxAge] - ms after which a message key left in localStorage is expired.
+ */
+const createLocalStorageTransport = ({
+  removeDelay = 1000,
+  chunkSize = 256 * 1024,
+  chunkTimeout = 5000,
+  janitorInterval = 60000,
+  maxAge = 10000
+} = {}) => ({
+  name: 'localstorage',
+
+  isSupported(context) {
+    try {
+      // NOTE: in Safari private mode localStorage exists, but setItem throws.
+      const testKey = `${_prefix}test`;
+      context.localStorage.setItem(testKey, testKey);
+      context.localStorage.removeItem(testKey);
+      return typeof context.addEventListener === 'function';
+    } catch(ex) {
+      return false;
+    }
+  },
+
+  open(context, receive) {
+    const reassembler = createReassembler({
+      timeout: chunkTimeout,
+      onMessage: receive,
+      // An unreadable message makes the channel dispatch a messageerror.
+      onError: channelId => receive(null, channelId)
+    });
+
+    /**
+     * Handler of the 'storage' function.
+     * Called when another window has sent a message.
+     * @param {Object} ev - the storage event.
+     */
+    const onStorage = ev => {
+      const key = ev.key;
+      const newValue = ev.newValue;
+      const isRemoved = !newValue;
+
+      if (!key || isRemoved) return;
+
+      // Actually checks if the messages if from us.
+      if (key.indexOf(_messagePrefix) > -1) {
+        if (receive(newValue, getChannelIdFromKey(key))) {
+          // Remove the item for safety.
+          context.localStorage.removeItem(key);
+        }
+      } else if (key.indexOf(_chunkPrefix) > -1) {
+        const parsed = parseChunk(key, newValue);
+        reassembler.add(parsed.chunk, parsed.channelId);
+      }
+    };
+
+    const janitor = createJanitor({ storage: context.localStorage, interval: janitorInterval, maxAge });
+
+    context.addEventListener('storage', onStorage, false);
+    janitor.start();
+
+    return {
+      join() {
+        // New channels also trigger a sweep ( skipped if another tab has swept recently ).
+        janitor.run();
+      },
+      post(channelId, raw) {
+        if (raw.length > chunkSize) {
+          splitMessage(raw, chunkSize).forEach(chunk => {
+            const chunkKey = buildChunkKey(chunk, channelId);
+            // NOTE: if a chunk cannot be written, the error is thrown and the receivers discard the partial message.
+            context.localStorage.setItem(chunkKey, buildChunkValue(chunk));
+            context.localStorage.removeItem(chunkKey);
+          });
+          return;
+        }
+
+        const lsKey = `${_messagePrefix}${getRandomString()}.${getTimestamp()}_${channelId}`;
+        // Set localStorage item (and, after that, removes it).
+        context.localStorage.setItem(lsKey, raw);
+        setTimeout(() => context.localStorage.removeItem(lsKey), removeDelay);
+      },
+      close() {
+        context.removeEventListener('storage', onStorage, false);
+        reassembler.clear();
+        janitor.stop();
+      }
+    };
+  }
+});
+
+module.exports = {
+  createLocalStorageTransport
+};
@@ -0,0 +1,27 @@
+/**
+ * In-memory transport.
+ * It does not reach anything: channels of the same tab ( or worker, or Node.js process ) are already
+ * reached by the channel itself. It makes the polyfill usable where no other transport is, e.g. in tests.
+ */
+
+/**
+ * Creates the in-memory transport.
+ */
+const createMemoryTransport = () => ({
+  name: 'memory',
+
+  isSupported() {
+    return true;
+  },
+
+  open() {
+    return {
+      post() {},
+      close() {}
+    };
+  }
+});
+
+module.exports = {
+  createMemoryTransport
+};
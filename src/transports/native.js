@@ -0,0 +1,67 @@
+/**
+ * Native BroadcastChannel passthrough transport.
+ * One native channel per channel identifier is opened in the current tab.
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+
+/**
+ * Checks that BroadcastChannel is the native implementation, and not this polyfill installed as a global.
+ */
+const isNative = fn => typeof fn === 'function' && !fn._polyfill;
+
+/**
+ * Creates the native BroadcastChannel transport.
+ */
+const createNativeTransport = () => ({
+  name: 'native',
+
+  isSupported(context) {
+    return isNative(context.BroadcastChannel);
+  },
+
+  open(context, receive) {
+    const natives = {}; // Native channels, by channel identifier.
+
+    const getNative = channelId => {
+      if (!natives[channelId]) {
+        const native = new context.BroadcastChannel(channelId);
+        native.onmessage = ev => {
+          const data = ev.data;
+          if (data && data.type === MESSAGE_TYPE) {
+            receive(data.raw, channelId);
+          }
+        };
+        // NOTE: in Node.js the native channel must not keep the process alive.
+        if (native.unref) {
+          native.unref();
+        }
+        natives[channelId] = native;
+      }
+      return natives[channelId];
+    };
+
+    return {
+      join(channelId) {
+        getNative(channelId);
+      },
+      leave(channelId) {
+        if (natives[channelId]) {
+          natives[channelId].close();
+          delete natives[channelId];
+        }
+      },
+      post(channelId, raw) {
+        getNative(channelId).postMessage({ type: MESSAGE_TYPE, raw });
+      },
+      close() {
+        Object.keys(natives).forEach(channelId => natives[channelId].close());
+      }
+    };
+  }
+});
+
+module.exports = {
+  createNativeTransport,
+  isNative
+};
@@ -0,0 +1,22 @@
+/**
+ * ServiceWorker relay for the 'serviceworker' transport.
+ * Load it in your ServiceWorker with importScripts('service-worker-relay.js').
+ * NOTE: this is a standalone worker script, it must not be bundled with the rest of the library.
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+
+self.addEventListener('message', ev => {
+  const data = ev.data;
+  if (!data || data.type !== MESSAGE_TYPE) return;
+
+  const sourceId = ev.source && ev.source.id;
+  // Relays the message to all the other clients.
+  ev.waitUntil(self.clients.matchAll({ includeUncontrolled: true, type: 'all' }).then(clients => {
+    clients.forEach(client => {
+      if (client.id !== sourceId) {
+        client.postMessage(data);
+      }
+    });
+  }));
+});
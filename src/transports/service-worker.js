@@ -0,0 +1,49 @@
+/**
+ * ServiceWorker transport.
+ * Messages are sent to the active ServiceWorker, which relays them to the other clients
+ * with clients.matchAll() (see service-worker-relay.js).
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+
+/**
+ * Creates the ServiceWorker transport.
+ */
+const createServiceWorkerTransport = () => ({
+  name: 'serviceworker',
+
+  isSupported(context) {
+    const navigator = context.navigator;
+    return !!(navigator && navigator.serviceWorker && navigator.serviceWorker.controller);
+  },
+
+  open(context, receive) {
+    const container = context.navigator.serviceWorker;
+
+    const onMessage = ev => {
+      const data = ev.data;
+      if (data && data.type === MESSAGE_TYPE) {
+        receive(data.raw, data.channelId);
+      }
+    };
+
+    container.addEventListener('message', onMessage, false);
+
+    return {
+      post(channelId, raw) {
+        // NOTE: the page may lose its controller (e.g. after a hard reload).
+        const controller = container.controller;
+        if (controller) {
+          controller.postMessage({ type: MESSAGE_TYPE, channelId, raw });
+        }
+      },
+      close() {
+        container.removeEventListener('message', onMessage, false);
+      }
+    };
+  }
+});
+
+module.exports = {
+  createServiceWorkerTransport
+};
@@ -0,0 +1,34 @@
+/**
+ * SharedWorker hub for the 'sharedworker' transport.
+ * Serve this script from your origin and pass its URL to createSharedWorkerTransport({ url }).
+ * NOTE: this is a standalone worker script, it must not be bundled with the rest of the library.
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+const CLOSE_TYPE = 'polyBC_close';
+
+const ports = []; // Connected tabs.
+
+self.addEventListener('connect', ev => {
+  const port = ev.ports[0];
+  ports.push(port);
+
+  port.onmessage = msg => {
+    const data = msg.data;
+    if (!data) return;
+
+    if (data.type === CLOSE_TYPE) {
+      const index = ports.indexOf(port);
+      if (index > -1) {
+        ports.splice(index, 1);
+      }
+    } else if (data.type === MESSAGE_TYPE) {
+      // Relays the message to all the other tabs.
+      ports.forEach(other => {
+        if (other !== port) {
+          other.postMessage(data);
+        }
+      });
+    }
+  };
+});
@@ -0,0 +1,47 @@
+/**
+ * SharedWorker transport.
+ * Every tab connects to the same SharedWorker hub (see shared-worker-hub.js), which relays messages to the other tabs.
+ */
+
+const MESSAGE_TYPE = 'polyBC_message';
+const CLOSE_TYPE = 'polyBC_close';
+
+/**
+ * Creates the SharedWorker transport.
+ * @param {Object} options
+ * @param {String} options.url - the URL of the shared-worker-hub.js script, served by your app.
+ */
+const createSharedWorkerTransport = ({ url } = {}) => ({
+  name: 'sharedworker',
+
+  isSupported(context) {
+    return !!url && typeof context.SharedWorker === 'function';
+  },
+
+  open(context, receive) {
+    const worker = new context.SharedWorker(url, 'polyBC');
+    const port = worker.port;
+
+    port.onmessage = ev => {
+      const data = ev.data;
+      if (data && data.type === MESSAGE_TYPE) {
+        receive(data.raw, data.channelId);
+      }
+    };
+    port.start();
+
+    return {
+      post(channelId, raw) {
+        port.postMessage({ type: MESSAGE_TYPE, channelId, raw });
+      },
+      close() {
+        port.postMessage({ type: CLOSE_TYPE });
+        port.close();
+      }
+    };
+  }
+});
+
+module.exports = {
+  createSharedWorkerTransport
+};
@@ -0,0 +1,80 @@
+/**
+ * Utils shared among the modules.
+ * @private
+ */
+const getRandomString = (len = 5) => {
+  let text = '';
+  const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  for(let i=0; i < len; i++) {
+    text += possible.charAt(Math.floor(Math.random() * possible.length));
+  }
+  return text;
+};
+
+const isEmpty = obj => !Object.keys(obj).length;
+
+const getTimestamp = () => (new Date()).getTime();
+
+/**
+ * Creates a DOMException with the given name (e.g. 'DataCloneError').
+ * Falls back to an Error with the same name where DOMException cannot be constructed.
+ * @param {String} message - the error message.
+ * @param {String} name - the DOMException name.
+ */
+const createDOMException = (message, name) => {
+  try {
+    return new DOMException(message, name);
+  } catch(ex) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+};
+
+/**
+ * Base64 helpers for binary data.
+ */
+const toBase64 = buffer => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Converts in slices to avoid exceeding the maximum number of arguments.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = str => {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Creates a CustomEvent with the given detail.
+ * Falls back to an Event with a detail property where CustomEvent is not available ( Node.js < 19 ).
+ * @param {String} type - the event type.
+ * @param {*} detail - the event detail.
+ * @param {Object} [init] - the other event options ( e.g. cancelable ).
+ */
+const createCustomEvent = (type, detail, init = {}) => {
+  if (typeof CustomEvent === 'function') {
+    return new CustomEvent(type, { ...init, detail });
+  }
+  const event = new Event(type, init);
+  event.detail = detail;
+  return event;
+};
+
+module.exports = {
+  getRandomString,
+  isEmpty,
+  getTimestamp,
+  createDOMException,
+  createCustomEvent,
+  toBase64,
+  fromBase64
+};
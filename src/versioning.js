@@ -0,0 +1,152 @@
+/**
+ * Versions of the tabs sharing a channel, to handle deploys where old and new tabs are open at once.
+ * Every envelope carries the protocol version of the polyfill and the version of the app ( if given ):
+ * a channel learns the versions of the other channels from their messages, and asks for them when it is created.
+ * The channel dispatches a 'versionmismatch' event when it meets a channel with another version, and a cancelable
+ * 'reloadrequest' event when a channel asks it to reload ( the page is reloaded, unless the event is canceled ).
+ * Internal messages:
+ * - { context: 'version', action: 'hello' } asks the other channels to announce themselves;
+ * - { context: 'version', action: 'announce' };
+ * - { context: 'version', action: 'reload' }, addressed to the channels that should reload.
+ */
+const { getTimestamp, createCustomEvent } = require('./utils');
+const { context } = require('./environment');
+
+// Version of the wire format. Envelopes without a protocol version come from older versions of the polyfill ( 0 ).
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Compares two versions, such as '1.10.0' and '1.9.2'. A missing version is older than any other.
+ * @param {String} [a]
+ * @param {String} [b]
+ * @returns {Number} a positive number if a is newer than b, a negative one if it is older, 0 if they are equal.
+ */
+const compareVersions = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+
+  const partsA = String(a).split(/[.-]/);
+  const partsB = String(b).split(/[.-]/);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === partsB[i]) continue;
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+    const numA = Number(partsA[i]);
+    const numB = Number(partsB[i]);
+    if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+    return partsA[i] < partsB[i] ? -1 : 1;
+  }
+  return 0;
+};
+
+class Versioning {
+
+  /**
+   * @param {_BroadcastChannel} channel - the channel.
+   * @param {Object} options
+   * @param {String} [options.version] - the version of the app.
+   */
+  constructor(channel, { version } = {}) {
+    this.channel = channel;
+    this.version = version;
+    this._peers = {}; // Versions of the other channels, by channel name ( bcId ).
+
+    this._onInternal = (data, envelope) => this._handleMessage(data, envelope);
+    channel._addInternalListener(this._onInternal);
+    this._send('hello');
+  }
+
+  /**
+   * Records the versions carried by an envelope sent by another channel.
+   * @param {Object} envelope - the envelope.
+   */
+  observe(envelope) {
+    const id = envelope.bcId;
+    if (!id || id === this.channel.name) return;
+
+    const peer = { id, tabId: envelope.tabId, protocol: envelope.protocol || 0, version: envelope.appVersion };
+    const known = this._peers[id];
+    this._peers[id] = { ...peer, lastSeen: getTimestamp() };
+    if (known && known.protocol === peer.protocol && known.version === peer.version) return;
+
+    if (peer.protocol !== PROTOCOL_VERSION || peer.version !== this.version) {
+      peer.newer = this._compare(peer) > 0;
+      this.channel.dispatchEvent(createCustomEvent('versionmismatch', peer));
+    }
+  }
+
+  /**
+   * Returns the versions of the other channels.
+   * @returns {Array} the channels { id, tabId, protocol, version, lastSeen }.
+   */
+  getVersions() {
+    return Object.keys(this._peers).map(id => ({ ...this._peers[id] }));
+  }
+
+  /**
+   * Asks other channels to reload their page.
+   * @param {String|Array} [target] - the channel names or tabIds. Defaults to the channels older than this one.
+   */
+  requestReload(target) {
+    const to = target !== undefined ?
+      [].concat(target) :
+      this.getVersions().filter(peer => this._compare(peer) < 0).map(peer => peer.id);
+    if (to.length) {
+      this.channel._postInternal({ context: 'version', action: 'reload' }, { to });
+    }
+  }
+
+  close() {
+    this.channel._removeInternalListener(this._onInternal);
+    this._peers = {};
+  }
+
+  /**
+   * Compares the versions of another channel with the ones of this channel.
+   * @private
+   */
+  _compare(peer) {
+    return peer.protocol !== PROTOCOL_VERSION ?
+      peer.protocol - PROTOCOL_VERSION :
+      compareVersions(peer.version, this.version);
+  }
+
+  _handleMessage(data, envelope) {
+    if (!data || data.context !== 'version') return;
+
+    if (data.action === 'hello') {
+      this._send('announce');
+      return;
+    }
+
+    if (data.action === 'reload') {
+      const detail = { from: envelope.bcId, tabId: envelope.tabId, protocol: envelope.protocol, version: envelope.appVersion };
+      const event = createCustomEvent('reloadrequest', detail, { cancelable: true });
+      const notCanceled = this.channel.dispatchEvent(event);
+      if (notCanceled && context.location && typeof context.location.reload === 'function') {
+        context.location.reload();
+      }
+    }
+  }
+
+  _send(action) {
+    if (!this.channel.closed) {
+      this.channel._postInternal({ context: 'version', action });
+    }
+  }
+}
+
+/**
+ * Creates the versioning subsystem of a channel.
+ * @param {_BroadcastChannel} channel - the channel.
+ * @param {Object} [options] - see Versioning.
+ * @returns {Versioning}
+ */
+const createVersioning = (channel, options) => new Versioning(channel, options);
+
+module.exports = {
+  PROTOCOL_VERSION,
+  compareVersions,
+  createVersioning
+};
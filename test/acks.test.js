@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const isMessageWrite = ev => ev.newValue !== null && ev.key.indexOf('polyBC_message_') === 0;
+
+test('a message that is not acknowledged is sent again, and delivered once', async () => {
+  // The first message written is lost ( arrives long after the retry ).
+  let writes = 0;
+  const sim = createSimulation({ latency: ev => (isMessageWrite(ev) && writes++ === 0 ? 5000 : 0) });
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('ch');
+    const b = new (sim.openTab().BroadcastChannel)('ch');
+    const received = [];
+    b.onmessage = ev => received.push(ev.data);
+
+    let acked = null;
+    // With known recipients, the promise is resolved as soon as they have all acknowledged the message.
+    a.postMessage('hello', { ack: true, timeout: 100, retries: 2, to: b.name }).then(tabIds => {
+      acked = tabIds;
+    });
+    await sim.tick(50);
+    assert.deepStrictEqual(received, []);
+
+    await sim.tick(100);
+    assert.deepStrictEqual(received, ['hello']);
+    assert.deepStrictEqual(acked, [b.tabId]);
+
+    // The lost copy is recognized and dropped.
+    await sim.tick(5000);
+    assert.deepStrictEqual(received, ['hello']);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the promise is rejected with a TimeoutError once the retries are exhausted', async () => {
+  const sim = createSimulation();
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('ch');
+    const tab = sim.openTab();
+    const b = new tab.BroadcastChannel('ch');
+    tab.suspend();
+
+    let error = null;
+    a.postMessage('hello', { ack: true, timeout: 100, retries: 2, to: b.name }).catch(ex => {
+      error = ex;
+    });
+    await sim.tick(299);
+    assert.strictEqual(error, null);
+    await sim.tick(1);
+    assert.strictEqual(error.name, 'TimeoutError');
+    assert.deepStrictEqual(error.acked, []);
+    assert.deepStrictEqual(error.missing, [b.name]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a message dropped by a throwing middleware leaves no pending acknowledgement', async () => {
+  const sim = createSimulation();
+  const rejections = [];
+  const onRejection = ex => rejections.push(ex);
+  process.on('unhandledRejection', onRejection);
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('ch');
+    a.use({
+      outgoing() {
+        throw new Error('Refused');
+      }
+    });
+    assert.throws(() => a.postMessage('hello', { ack: true, timeout: 10, retries: 0 }), /Refused/);
+    await sim.tick(100);
+    assert.deepStrictEqual(rejections, []);
+  } finally {
+    process.removeListener('unhandledRejection', onRejection);
+    sim.destroy();
+  }
+});
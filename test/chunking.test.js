@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const CHUNK_PREFIX = 'polyBC_chunk_';
+
+const openChannels = (sim, count) => Array.from({ length: count }, () => {
+  const tab = sim.openTab();
+  const { createLocalStorageTransport } = tab.require('src/transports');
+  return new tab.BroadcastChannel('big', { transport: createLocalStorageTransport({ chunkSize: 64, chunkTimeout: 500 }) });
+});
+
+test('large messages are split in chunks and reassembled', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openChannels(sim, 2);
+    const received = [];
+    b.onmessage = ev => received.push(ev.data);
+
+    const data = { text: 'é€😀'.repeat(200), list: Array.from({ length: 50 }, (v, i) => i) };
+    a.postMessage(data);
+    await sim.tick(10);
+
+    assert.deepStrictEqual(received, [data]);
+    for (let i = 0; i < sim.localStorage.length; i++) {
+      assert.notStrictEqual(sim.localStorage.key(i).indexOf(CHUNK_PREFIX), 0, 'chunks are removed once written');
+    }
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('an incomplete message is discarded after the chunk timeout, with a messageerror', async () => {
+  // The second chunk of every message arrives too late.
+  const isSecondChunk = key => !!key && key.indexOf(CHUNK_PREFIX) === 0 && key.split('_')[3] === '1';
+  const sim = createSimulation({ latency: ev => (isSecondChunk(ev.key) ? 10000 : 0) });
+  try {
+    const [a, b] = openChannels(sim, 2);
+    const received = [];
+    const errors = [];
+    b.onmessage = ev => received.push(ev.data);
+    b.onmessageerror = ev => errors.push(ev.errors);
+
+    a.postMessage('x'.repeat(500));
+    await sim.tick(400);
+    assert.deepStrictEqual(errors, []);
+
+    await sim.tick(200);
+    assert.deepStrictEqual(received, []);
+    assert.deepStrictEqual(errors, [['The message could not be parsed']]);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const openPair = (sim, options) => {
+  const a = new (sim.openTab().BroadcastChannel)('codec', options);
+  const b = new (sim.openTab().BroadcastChannel)('codec', options);
+  const received = [];
+  const errors = [];
+  b.onmessage = ev => received.push(ev.data);
+  b.onmessageerror = ev => errors.push(ev.errors);
+  return { a, b, received, errors };
+};
+
+test('messages are cloned across tabs as with the structured clone algorithm', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, received } = openPair(sim);
+    const bytes = new Uint8Array([1, 2, 255]);
+    const data = {
+      date: new Date(Date.UTC(2020, 1, 2)),
+      map: new Map([[1, 'one'], ['two', { n: 2 }]]),
+      set: new Set(['a', 'b']),
+      bytes,
+      view: new DataView(bytes.buffer, 1, 2),
+      big: 12345678901234567890n,
+      regexp: /a+b/gi,
+      missing: undefined,
+      numbers: [NaN, Infinity, -0],
+      sparse: [1, , 3],
+      error: new RangeError('Out of range')
+    };
+    data.self = data;
+    a.postMessage(data);
+    await sim.tick(10);
+
+    const copy = received[0];
+    assert.notStrictEqual(copy, data);
+    assert.strictEqual(copy.self, copy);
+    assert.deepStrictEqual(copy.date, data.date);
+    assert.deepStrictEqual(copy.map, data.map);
+    assert.deepStrictEqual(copy.set, data.set);
+    assert.deepStrictEqual(copy.bytes, bytes);
+    assert.strictEqual(copy.view.buffer, copy.bytes.buffer);
+    assert.strictEqual(copy.view.getUint8(1), 255);
+    assert.strictEqual(copy.big, data.big);
+    assert.deepStrictEqual(copy.regexp, data.regexp);
+    assert.ok('missing' in copy && copy.missing === undefined);
+    assert.ok(Number.isNaN(copy.numbers[0]) && copy.numbers[1] === Infinity && Object.is(copy.numbers[2], -0));
+    assert.strictEqual(copy.sparse.length, 3);
+    assert.ok(!(1 in copy.sparse));
+    assert.ok(copy.error instanceof RangeError);
+    assert.strictEqual(copy.error.message, 'Out of range');
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('values that cannot be cloned throw a DataCloneError, and send nothing', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, received } = openPair(sim);
+    assert.throws(() => a.postMessage({ callback: () => {} }), { name: 'DataCloneError' });
+    assert.throws(() => a.postMessage(Symbol('x')), { name: 'DataCloneError' });
+    assert.throws(() => a.postMessage(new WeakMap()), { name: 'DataCloneError' });
+    await sim.tick(10);
+    assert.deepStrictEqual(received, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the prototype of the received objects cannot be altered', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, received } = openPair(sim);
+    a.postMessage(JSON.parse('{"__proto__": {"polluted": true}}'));
+    await sim.tick(10);
+    assert.strictEqual(received[0].polluted, undefined);
+    assert.strictEqual(Object.getPrototypeOf(received[0]), Object.prototype);
+    assert.strictEqual({}.polluted, undefined);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a custom codec is used on both ends, and unreadable messages are dispatched as messageerror', async () => {
+  const sim = createSimulation();
+  try {
+    const { jsonCodec } = require('../src/codec');
+    const { a, received } = openPair(sim, { codec: jsonCodec });
+    a.postMessage({ date: new Date(Date.UTC(2020, 0, 1)) });
+    await sim.tick(10);
+    // JSON does not keep the types.
+    assert.deepStrictEqual(received, [{ date: '2020-01-01T00:00:00.000Z' }]);
+
+    const failing = { serialize: value => JSON.stringify(value), deserialize: () => { throw new Error('Unreadable'); } };
+    const pair = openPair(sim, { codec: failing });
+    pair.a.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(pair.received, []);
+    assert.deepStrictEqual(pair.errors, [['The message could not be deserialized']]);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('timers/promises');
+const { createSimulation } = require('../src/testing');
+const { compressToUTF16, decompressFromUTF16 } = require('../src/compression');
+
+const LARGE = JSON.stringify(Array.from({ length: 200 }, (v, i) => ({ id: i, name: `item ${i % 10}`, tags: ['a', 'b'] })));
+
+/**
+ * CompressionStream settles its promises outside of the virtual clock: waits for them, in real time,
+ * until the condition is met.
+ */
+const waitFor = async (sim, condition) => {
+  for (let i = 0; i < 400 && !condition(); i++) {
+    await sim.tick(1);
+    await delay(5);
+  }
+};
+
+/**
+ * Opens a channel in a new tab, recording its messages, and the messages written to localStorage.
+ */
+const openChannel = (sim, options) => {
+  const channel = { received: [], errors: [], written: [] };
+  const tab = sim.openTab();
+  tab.window.addEventListener('storage', ev => {
+    if (ev.newValue && ev.key.indexOf('polyBC_message_') === 0) {
+      channel.written.push(JSON.parse(ev.newValue));
+    }
+  });
+  channel.bc = new tab.BroadcastChannel('zip', options);
+  channel.bc.onmessage = ev => channel.received.push(ev.data);
+  channel.bc.onmessageerror = ev => channel.errors.push(ev.errors);
+  return channel;
+};
+
+test('the LZ compression round-trips any string into safe UTF-16 characters', () => {
+  const random = Array.from({ length: 500 }, (v, i) => String.fromCharCode((i * 7919) % 0xD000)).join('');
+  ['', 'a', 'aaaaaaaaaaaaaaaaaaaa', 'héllo wörld 日本語 🎉', LARGE, random].forEach(str => {
+    const compressed = compressToUTF16(str);
+    assert.strictEqual(decompressFromUTF16(compressed), str);
+    assert.ok(Array.from(compressed).every(c => c.charCodeAt(0) >= 0x20 && c.charCodeAt(0) <= 0x801F));
+  });
+  assert.ok(compressToUTF16(LARGE).length < LARGE.length / 4);
+});
+
+test('large messages are compressed in storage, and read by any channel', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim, { compression: { threshold: 100 } });
+    const b = openChannel(sim);
+
+    a.bc.postMessage(JSON.parse(LARGE));
+    a.bc.postMessage('small');
+    await sim.tick(10);
+
+    assert.deepStrictEqual(b.received, [JSON.parse(LARGE), 'small']);
+    assert.deepStrictEqual(b.written.map(envelope => envelope.compressed), ['lz', undefined]);
+    assert.ok(b.written[0].message.data.length < LARGE.length / 2);
+
+    const stats = a.bc.constructor.getCompressionStats();
+    assert.strictEqual(stats.messages, 1);
+    assert.strictEqual(stats.compressed, 1);
+    assert.strictEqual(stats.savedBytes, stats.originalBytes - stats.compressedBytes);
+    assert.ok(stats.ratio < 0.5);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('messages compressed with CompressionStream are delivered in order', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim, { compression: { threshold: 100, method: 'deflate' } });
+    const b = openChannel(sim);
+
+    a.bc.postMessage(JSON.parse(LARGE));
+    a.bc.postMessage('small');
+    await waitFor(sim, () => b.received.length === 2);
+
+    assert.deepStrictEqual(b.received, [JSON.parse(LARGE), 'small']);
+    assert.strictEqual(b.written[0].compressed, 'deflate');
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a corrupted compressed message is dispatched as messageerror', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim, { compression: { threshold: 100 } });
+    const b = openChannel(sim);
+
+    a.bc.postMessage(LARGE);
+    await sim.tick(10);
+    const corrupted = { ...b.written[0], seq: 1, message: { ...b.written[0].message, data: ' !' } };
+    sim.localStorage.setItem(`polyBC_message_corrupted.${Date.now()}_polyBC_zip`, JSON.stringify(corrupted));
+    await sim.tick(10);
+
+    assert.deepStrictEqual(b.received, [LARGE]);
+    assert.deepStrictEqual(b.errors, [['The message could not be decrypted or decompressed']]);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: delay } = require('timers/promises');
+const { createSimulation } = require('../src/testing');
+
+const generateKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+/**
+ * WebCrypto settles its promises outside of the virtual clock: waits for them, in real time, until the condition is met.
+ */
+const waitFor = async (sim, condition) => {
+  for (let i = 0; i < 400 && !condition(); i++) {
+    await sim.tick(1);
+    await delay(5);
+  }
+};
+
+const openChannel = (sim, options) => {
+  const channel = { received: [], errors: [] };
+  channel.bc = new (sim.openTab().BroadcastChannel)('secret', options);
+  channel.bc.onmessage = ev => channel.received.push(ev.data);
+  channel.bc.onmessageerror = ev => channel.errors.push(ev.errors);
+  return channel;
+};
+
+/**
+ * Records the messages written to localStorage, as seen by another tab.
+ */
+const spyStorage = sim => {
+  const written = [];
+  sim.openTab().window.addEventListener('storage', ev => {
+    if (ev.newValue && ev.key.indexOf('polyBC_message_') === 0) {
+      written.push({ key: ev.key, value: ev.newValue });
+    }
+  });
+  return written;
+};
+
+test('encrypted messages are delivered in order, and not readable in localStorage', async () => {
+  const sim = createSimulation();
+  try {
+    const key = await generateKey();
+    const written = spyStorage(sim);
+    const a = openChannel(sim, { encryption: { key } });
+    const b = openChannel(sim, { encryption: { key } });
+
+    a.bc.postMessage({ text: 'top secret' });
+    a.bc.postMessage(2);
+    a.bc.postMessage(3);
+    await waitFor(sim, () => b.received.length === 3);
+
+    assert.deepStrictEqual(b.received, [{ text: 'top secret' }, 2, 3]);
+    assert.strictEqual(written.length, 3);
+    assert.ok(written.every(item => item.value.indexOf('top secret') < 0 && JSON.parse(item.value).encrypted));
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the key can be derived from a secret shared by the tabs', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim, { encryption: { secret: 'shared', iterations: 1000 } });
+    const b = openChannel(sim, { encryption: { secret: 'shared', iterations: 1000 } });
+    const c = openChannel(sim, { encryption: { secret: 'other', iterations: 1000 } });
+
+    a.bc.postMessage('hello');
+    await waitFor(sim, () => b.received.length && c.errors.length);
+
+    assert.deepStrictEqual(b.received, ['hello']);
+    assert.deepStrictEqual(c.received, []);
+    assert.strictEqual(c.errors.length, 1);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('tampered messages, and messages in clear on an encrypted channel, are dispatched as messageerror', async () => {
+  const sim = createSimulation();
+  try {
+    const key = await generateKey();
+    const written = spyStorage(sim);
+    const a = openChannel(sim, { encryption: { key } });
+    const b = openChannel(sim, { encryption: { key } });
+    const clear = new (sim.openTab().BroadcastChannel)('secret');
+
+    a.bc.postMessage('original');
+    await waitFor(sim, () => b.received.length);
+    assert.deepStrictEqual(b.received, ['original']);
+
+    // The routing fields are authenticated: redirecting the message breaks it.
+    const redirected = JSON.parse(written[0].value);
+    redirected.seq = 1;
+    redirected.to = [b.bc.name];
+    sim.localStorage.setItem(`polyBC_message_tampered1.${Date.now()}_polyBC_secret`, JSON.stringify(redirected));
+    // So does changing the ciphertext.
+    const altered = JSON.parse(written[0].value);
+    altered.seq = 2;
+    altered.message.data = `A${altered.message.data.substring(1)}`;
+    sim.localStorage.setItem(`polyBC_message_tampered2.${Date.now()}_polyBC_secret`, JSON.stringify(altered));
+    await waitFor(sim, () => b.errors.length === 2);
+
+    clear.postMessage('in clear');
+    await waitFor(sim, () => b.errors.length === 3);
+
+    assert.deepStrictEqual(b.received, ['original']);
+    assert.strictEqual(b.errors.length, 3);
+    assert.deepStrictEqual(b.errors[0], ['The message could not be decrypted or decompressed']);
+  } finally {
+    sim.destroy();
+  }
+});
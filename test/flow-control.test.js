@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+/**
+ * Creates a simulation counting the messages written to localStorage ( each one is seen by the other tabs ).
+ */
+const createCountingSimulation = () => {
+  const writes = { count: 0 };
+  const sim = createSimulation({
+    latency: (ev, source, target) => {
+      if (ev.newValue !== null && ev.key.indexOf('polyBC_message_') === 0 && target === sim.tabs[1]) {
+        writes.count++;
+      }
+      return 0;
+    }
+  });
+  return { sim, writes };
+};
+
+const openPair = (sim, options) => {
+  const a = new (sim.openTab().BroadcastChannel)('flow', options);
+  const b = new (sim.openTab().BroadcastChannel)('flow');
+  const received = [];
+  b.onmessage = ev => received.push(ev.data);
+  return { a, b, received };
+};
+
+test('the messages posted in the same task are batched in a single write, and delivered as separate events', async () => {
+  const { sim, writes } = createCountingSimulation();
+  try {
+    const { a, received } = openPair(sim, { batch: { delay: 20 } });
+    a.postMessage(1);
+    a.postMessage(2);
+    await sim.tick(10);
+    a.postMessage(3);
+    assert.ok(a.bufferedAmount > 0);
+    await sim.tick(20);
+
+    assert.deepStrictEqual(received, [1, 2, 3]);
+    assert.strictEqual(writes.count, 1);
+    assert.strictEqual(a.bufferedAmount, 0);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('coalesced messages replace the waiting ones with the same key, even without batch', async () => {
+  const { sim } = createCountingSimulation();
+  try {
+    const { a, received } = openPair(sim, { coalesce: data => (data.type === 'move' ? 'move' : undefined) });
+    for (let x = 0; x < 5; x++) {
+      a.postMessage({ type: 'move', x });
+    }
+    a.postMessage({ type: 'click' });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(received, [{ type: 'move', x: 4 }, { type: 'click' }]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the messages over the rate limit wait for the bucket to refill, or are dropped', async () => {
+  const { sim } = createCountingSimulation();
+  try {
+    const queued = openPair(sim, { rateLimit: { rate: 10, burst: 2 } });
+    for (let i = 0; i < 4; i++) {
+      queued.a.postMessage(i);
+    }
+    await sim.tick(0);
+    assert.deepStrictEqual(queued.received, [0, 1]);
+    await sim.tick(200);
+    assert.deepStrictEqual(queued.received, [0, 1, 2, 3]);
+
+    const dropped = openPair(sim, { rateLimit: { rate: 10, burst: 2, policy: 'drop' } });
+    for (let i = 0; i < 4; i++) {
+      dropped.a.postMessage(i);
+    }
+    await sim.tick(500);
+    assert.deepStrictEqual(dropped.received, [0, 1]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('closing a channel sends its batched messages, and drops the rate limited ones', async () => {
+  const { sim } = createCountingSimulation();
+  try {
+    const batched = openPair(sim, { batch: { delay: 100 } });
+    batched.a.postMessage('last words');
+    batched.a.close();
+    await sim.tick(10);
+    assert.deepStrictEqual(batched.received, ['last words']);
+
+    const limited = openPair(sim, { rateLimit: { rate: 1, burst: 1 } });
+    limited.a.postMessage('sent');
+    limited.a.postMessage('waiting');
+    limited.a.close();
+    await sim.tick(2000);
+    assert.deepStrictEqual(limited.received, ['sent']);
+  } finally {
+    sim.destroy();
+  }
+});
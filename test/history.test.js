@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const replayIn = (sim, options) => {
+  const bc = new (sim.openTab().BroadcastChannel)('news', options);
+  const received = [];
+  bc.onmessage = ev => received.push(ev.data);
+  return received;
+};
+
+test('a late-joining channel replays the last messages of the history, in order', async () => {
+  const sim = createSimulation();
+  try {
+    const bc = new (sim.openTab().BroadcastChannel)('news', { history: { size: 3 } });
+    for (let i = 1; i <= 5; i++) {
+      bc.postMessage(i);
+      await sim.tick(100);
+    }
+    // Internal messages are not recorded.
+    bc.request('ping', null, { timeout: 10 }).catch(() => {});
+
+    const all = replayIn(sim, { replay: 10 });
+    const last = replayIn(sim, { replay: 2 });
+    const none = replayIn(sim, { replay: 0 });
+    await sim.tick(10);
+    assert.deepStrictEqual(all, [3, 4, 5]);
+    assert.deepStrictEqual(last, [4, 5]);
+    assert.deepStrictEqual(none, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('since replays the messages sent after a time, and expired messages are not replayed', async () => {
+  const sim = createSimulation();
+  try {
+    const bc = new (sim.openTab().BroadcastChannel)('news', { history: { ttl: 1000 } });
+    const start = Date.now();
+    for (let i = 1; i <= 4; i++) {
+      bc.postMessage({ i, at: new Date(Date.now()) });
+      await sim.tick(300);
+    }
+
+    const since = replayIn(sim, { since: start + 500 });
+    await sim.tick(10);
+    assert.deepStrictEqual(since.map(data => data.i), [3, 4]);
+    assert.ok(since[0].at instanceof Date);
+
+    // The first messages are now older than the ttl ( of the replaying channel ).
+    await sim.tick(500);
+    const late = replayIn(sim, { history: { ttl: 1000 }, replay: 10 });
+    await sim.tick(10);
+    assert.deepStrictEqual(late.map(data => data.i), [4]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the history survives the tab that has written it', async () => {
+  const sim = createSimulation();
+  try {
+    const tab = sim.openTab();
+    const bc = new tab.BroadcastChannel('news', { history: true });
+    bc.postMessage('kept');
+    await sim.tick(10);
+    tab.close();
+
+    const replayed = replayIn(sim, { replay: 10 });
+    await sim.tick(10);
+    assert.deepStrictEqual(replayed, ['kept']);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+/**
+ * Opens a channel in a new tab, with debugging enabled.
+ */
+const openDebugged = (sim, options) => {
+  const tab = sim.openTab();
+  tab.BroadcastChannel.debug = true;
+  return new tab.BroadcastChannel('debug', options);
+};
+
+test('nothing is recorded while debugging is disabled', async () => {
+  const sim = createSimulation();
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('debug');
+    const b = new (sim.openTab().BroadcastChannel)('debug');
+    a.postMessage('hello');
+    await sim.tick(10);
+
+    assert.strictEqual(b.constructor.debug, false);
+    assert.deepStrictEqual(a.constructor.inspector.getEntries(), []);
+    assert.deepStrictEqual(b.constructor.inspector.getEntries(), []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the messages sent and received are recorded, with their latency', async () => {
+  const sim = createSimulation({ latency: 30 });
+  try {
+    const a = openDebugged(sim);
+    const b = openDebugged(sim);
+    a.postMessage('hello', { topic: 'greetings' });
+    a.postMessage('world');
+    await sim.tick(50);
+
+    const sent = a.constructor.inspector.getEntries();
+    assert.deepStrictEqual(sent.map(entry => [entry.type, entry.channel, entry.bcId, entry.seq, entry.topic]), [
+      ['sent', 'debug', a.name, 0, 'greetings'],
+      ['sent', 'debug', a.name, 1, undefined]
+    ]);
+    assert.ok(sent.every(entry => entry.size > 0 && entry.internal === false && entry.tabId === a.tabId));
+
+    const inspector = b.constructor.inspector;
+    const received = inspector.getEntries(entry => entry.type === 'received');
+    assert.deepStrictEqual(received.map(entry => [entry.seq, entry.latency]), [[0, 30], [1, 30]]);
+    const counters = inspector.getCounters();
+    assert.strictEqual(counters.received, 2);
+    assert.strictEqual(counters.sent, 0);
+    assert.ok(counters.bytesReceived > 0);
+    assert.deepStrictEqual(counters.latency, { count: 2, average: 30, max: 30 });
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('dropped messages and message errors are recorded, in a ring buffer', async t => {
+  const sim = createSimulation();
+  try {
+    const a = openDebugged(sim, { rateLimit: { rate: 1, policy: 'drop' } });
+    const b = openDebugged(sim, { schema: data => typeof data === 'number' || 'not a number' });
+    const inspector = a.constructor.inspector;
+    inspector.size = 2;
+
+    a.postMessage('first');
+    a.postMessage('dropped');
+    await sim.tick(10);
+
+    assert.deepStrictEqual(inspector.getEntries().map(entry => entry.type), ['sent', 'dropped']);
+    assert.strictEqual(inspector.getEntries()[1].reason, 'Rate limited');
+    const errors = b.constructor.inspector.getEntries(entry => entry.type === 'error');
+    assert.deepStrictEqual(errors.map(entry => [entry.bcId, entry.reason]), [[b.name, 'not a number']]);
+
+    await sim.tick(1000);
+    a.postMessage('third');
+    await sim.tick(10);
+    assert.deepStrictEqual(inspector.getEntries().map(entry => entry.type), ['dropped', 'sent']);
+    assert.strictEqual(inspector.getCounters().sent, 2);
+
+    const table = t.mock.method(console, 'table', () => {});
+    assert.strictEqual(inspector.dump(entry => entry.type === 'sent').length, 1);
+    assert.strictEqual(table.mock.callCount(), 1);
+
+    inspector.clear();
+    assert.deepStrictEqual(inspector.getEntries(), []);
+    assert.strictEqual(inspector.getCounters().dropped, 0);
+  } finally {
+    sim.destroy();
+  }
+});
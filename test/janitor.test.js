@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const storageKeys = sim => Array.from({ length: sim.localStorage.length }, (v, i) => sim.localStorage.key(i)).sort();
+
+/**
+ * Writes the keys a crashed tab could have left behind.
+ */
+const writeOrphans = sim => {
+  const now = Date.now();
+  sim.localStorage.setItem(`polyBC_message_old.${now - 20000}_other`, '{}');
+  sim.localStorage.setItem('polyBC_message_legacy_other', '{}');
+  sim.localStorage.setItem('polyBC_chunk_abc_0_2_other', 'x');
+  sim.localStorage.setItem(`polyBC_message_recent.${now - 1000}_other`, '{}');
+  sim.localStorage.setItem('unrelated', 'kept');
+};
+
+test('the expired message keys and the orphan chunks are removed when a channel opens', async () => {
+  const sim = createSimulation();
+  try {
+    writeOrphans(sim);
+    const tab = sim.openTab();
+    const bc = new tab.BroadcastChannel('janitor');
+    await sim.tick(10);
+
+    const keys = storageKeys(sim);
+    assert.ok(keys.indexOf('unrelated') > -1);
+    assert.ok(keys.some(key => key.indexOf('polyBC_message_recent.') === 0));
+    assert.ok(!keys.some(key => key.indexOf('polyBC_message_old.') === 0));
+    assert.ok(keys.indexOf('polyBC_message_legacy_other') < 0);
+    assert.ok(keys.indexOf('polyBC_chunk_abc_0_2_other') < 0);
+
+    // The transport sweeps when it opens, and again when the channel joins it.
+    const stats = tab.BroadcastChannel.getJanitorStats();
+    assert.strictEqual(stats.runs, 2);
+    assert.strictEqual(stats.keysRemoved, 3);
+    assert.ok(stats.bytesReclaimed > 0);
+    assert.strictEqual(stats.lastRun, Date.now() - 10);
+    bc.close();
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('only one tab sweeps per interval, and the keys expire while the tabs are open', async () => {
+  const sim = createSimulation();
+  try {
+    const a = sim.openTab();
+    const b = sim.openTab();
+    new a.BroadcastChannel('janitor');
+    await sim.tick(10);
+    new b.BroadcastChannel('janitor');
+    await sim.tick(10);
+    const runs = a.BroadcastChannel.getJanitorStats().runs;
+    assert.ok(runs > 0);
+    assert.strictEqual(b.BroadcastChannel.getJanitorStats().runs, 0);
+
+    writeOrphans(sim);
+    await sim.tick(60000);
+    assert.strictEqual(a.BroadcastChannel.getJanitorStats().runs, runs + 1);
+    assert.strictEqual(b.BroadcastChannel.getJanitorStats().runs, 0);
+    // The recent key has expired in the meantime.
+    assert.deepStrictEqual(storageKeys(sim).filter(key => key.indexOf('polyBC_message_') === 0), []);
+  } finally {
+    sim.destroy();
+  }
+});
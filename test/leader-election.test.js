@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const OPTIONS = { heartbeat: 100, leaseTimeout: 300, applyDelay: 20 };
+
+const openElectors = (sim, count) => Array.from({ length: count }, () => {
+  const tab = sim.openTab();
+  const { createLeaderElection } = tab.require('src/leader-election');
+  return { tab, elector: createLeaderElection(new tab.BroadcastChannel('election'), OPTIONS) };
+});
+
+const countLeaders = contenders => contenders.filter(contender => contender.elector.isLeader).length;
+
+test('a single leader is elected, and replaced when its tab is closed', async () => {
+  const sim = createSimulation();
+  try {
+    const contenders = openElectors(sim, 3);
+    await sim.tick(500);
+    assert.strictEqual(countLeaders(contenders), 1);
+
+    const leader = contenders.filter(contender => contender.elector.isLeader)[0];
+    leader.tab.close();
+    assert.strictEqual(leader.elector.isDead, true);
+    // The leader tells the others it is leaving: they do not wait for its lease to expire.
+    await sim.tick(OPTIONS.applyDelay + 10);
+    assert.strictEqual(countLeaders(contenders), 1);
+    assert.strictEqual(sim.errors.length, 0);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('two leaders end up with a single one, for good', async () => {
+  const sim = createSimulation();
+  try {
+    const contenders = openElectors(sim, 2);
+    const duplicates = [];
+    contenders.forEach((contender, i) => {
+      contender.elector.onduplicate = () => duplicates.push(i);
+    });
+    await sim.tick(500);
+
+    // The other tab believes it is the leader too ( e.g. it was frozen while the lease was taken over ).
+    const follower = contenders.filter(contender => !contender.elector.isLeader)[0];
+    follower.elector._becomeLeader();
+    await sim.tick(OPTIONS.heartbeat);
+    assert.ok(duplicates.length > 0);
+    assert.strictEqual(countLeaders(contenders), 1);
+
+    // Leases expire and heartbeats go on: the leadership does not change again.
+    const leader = contenders.filter(contender => contender.elector.isLeader)[0];
+    for (let i = 0; i < 20; i++) {
+      await sim.tick(OPTIONS.heartbeat);
+      assert.strictEqual(countLeaders(contenders), 1);
+      assert.strictEqual(leader.elector.isLeader, true);
+    }
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a leader entering the back/forward cache gives the leadership up, and competes again once restored', async () => {
+  const sim = createSimulation();
+  try {
+    const [first, second] = openElectors(sim, 2);
+    await sim.tick(500);
+    const leader = first.elector.isLeader ? first : second;
+    const other = leader === first ? second : first;
+
+    leader.tab.window.dispatchEvent({ type: 'pagehide', persisted: true });
+    assert.strictEqual(leader.elector.isLeader, false);
+    assert.strictEqual(leader.elector.isDead, false);
+    await sim.tick(OPTIONS.applyDelay + 10);
+    assert.strictEqual(other.elector.isLeader, true);
+
+    leader.tab.window.dispatchEvent({ type: 'pageshow', persisted: true });
+    let isLeaderAgain = false;
+    leader.elector.awaitLeadership().then(() => {
+      isLeaderAgain = true;
+    });
+    other.tab.close();
+    await sim.tick(OPTIONS.applyDelay + 10);
+    assert.strictEqual(isLeaderAgain, true);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('an election opens its own channel from a name, and rejects a native channel', async () => {
+  const sim = createSimulation();
+  try {
+    const tabs = [sim.openTab(), sim.openTab()];
+    const electors = tabs.map(tab => tab.require('src/leader-election').createLeaderElection('election', OPTIONS));
+    await sim.tick(500);
+    assert.strictEqual(electors.filter(elector => elector.isLeader).length, 1);
+
+    const leader = electors.filter(elector => elector.isLeader)[0];
+    leader.die();
+    assert.strictEqual(leader.channel.closed, true);
+    await sim.tick(OPTIONS.applyDelay + 10);
+    assert.strictEqual(electors.filter(elector => elector.isLeader).length, 1);
+
+    const { createLeaderElection } = tabs[0].require('src/leader-election');
+    const native = new BroadcastChannel('election');
+    try {
+      assert.throws(() => createLeaderElection(native, OPTIONS), TypeError);
+    } finally {
+      native.close();
+    }
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const listen = bc => {
+  const received = [];
+  bc.onmessage = ev => received.push(ev.data);
+  return received;
+};
+
+test('a closed channel throws an InvalidStateError, and receives nothing', async () => {
+  const sim = createSimulation();
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('life');
+    const b = new (sim.openTab().BroadcastChannel)('life');
+    const received = listen(b);
+
+    // Messages posted before closing are still sent.
+    a.postMessage('before');
+    a.close();
+    a.close();
+    assert.throws(() => a.postMessage('after'), { name: 'InvalidStateError' });
+    await sim.tick(10);
+    assert.deepStrictEqual(received, ['before']);
+
+    b.close();
+    const c = new (sim.openTab().BroadcastChannel)('life');
+    c.postMessage('closed');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, ['before']);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('closeAll closes the channels of the tab, or the ones with a given name', async () => {
+  const sim = createSimulation();
+  try {
+    const tab = sim.openTab();
+    const first = new tab.BroadcastChannel('first');
+    const second = new tab.BroadcastChannel('second');
+    const other = new (sim.openTab().BroadcastChannel)('first');
+
+    tab.BroadcastChannel.closeAll('first');
+    assert.strictEqual(first.closed, true);
+    assert.strictEqual(second.closed, false);
+    assert.strictEqual(other.closed, false);
+    tab.BroadcastChannel.closeAll('unknown');
+
+    tab.BroadcastChannel.closeAll();
+    assert.strictEqual(second.closed, true);
+    assert.strictEqual(other.closed, false);
+
+    // The tab starts from scratch with its next channel.
+    const reopened = new tab.BroadcastChannel('first');
+    const received = listen(reopened);
+    other.postMessage('again');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, ['again']);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('closing a tab closes its channels', async () => {
+  const sim = createSimulation();
+  try {
+    const tab = sim.openTab();
+    const bc = new tab.BroadcastChannel('life');
+    const received = listen(bc);
+    tab.close();
+    assert.strictEqual(bc.closed, true);
+
+    new (sim.openTab().BroadcastChannel)('life').postMessage('gone');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, []);
+    assert.deepStrictEqual(sim.errors, []);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const OPTIONS = { native: false, leaseTimeout: 1000, applyDelay: 20, retryInterval: 100 };
+
+const openManagers = (sim, count) =>
+  Array.from({ length: count }, () => sim.openTab().BroadcastChannel.createLockManager(OPTIONS));
+
+/**
+ * Returns a callback holding the lock until release is called, and the log of the holders.
+ */
+const holdUntilReleased = (log, label) => {
+  let release = null;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+  return {
+    callback: lock => {
+      log.push(`${label}:${lock && lock.mode}`);
+      return released.then(() => log.push(`${label}:released`));
+    },
+    release
+  };
+};
+
+test('an exclusive lock is held by one tab at a time, and handed over when released', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openManagers(sim, 2);
+    const log = [];
+    const first = holdUntilReleased(log, 'a');
+    const second = holdUntilReleased(log, 'b');
+    a.request('token', first.callback);
+    await sim.tick(50);
+    b.request('token', second.callback);
+    await sim.tick(500);
+    assert.deepStrictEqual(log, ['a:exclusive']);
+
+    first.release();
+    await sim.tick(50);
+    assert.deepStrictEqual(log, ['a:exclusive', 'a:released', 'b:exclusive']);
+    second.release();
+    await sim.tick(10);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('shared locks are held together, and block the exclusive ones', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openManagers(sim, 2);
+    const log = [];
+    const readA = holdUntilReleased(log, 'a');
+    const readB = holdUntilReleased(log, 'b');
+    a.request('db', { mode: 'shared' }, readA.callback);
+    b.request('db', { mode: 'shared' }, readB.callback);
+    await sim.tick(50);
+    assert.deepStrictEqual(log.sort(), ['a:shared', 'b:shared']);
+
+    let written = false;
+    a.request('db', () => {
+      written = true;
+    });
+    const state = await a.query();
+    assert.strictEqual(state.held.length, 2);
+    assert.strictEqual(state.pending.length, 1);
+
+    readA.release();
+    await sim.tick(200);
+    assert.strictEqual(written, false);
+    readB.release();
+    await sim.tick(200);
+    assert.strictEqual(written, true);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('ifAvailable gets null while the lock is held, or while an earlier request of the tab waits for it', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openManagers(sim, 2);
+    const log = [];
+    const holder = holdUntilReleased(log, 'b');
+    b.request('job', holder.callback);
+    await sim.tick(50);
+
+    const results = [];
+    a.request('job', { ifAvailable: true }, lock => results.push(lock));
+    await sim.tick(0);
+    assert.deepStrictEqual(results, [null]);
+
+    // A request of the same tab is queued first: the lock is not available, even once released by the other tab.
+    const waiting = holdUntilReleased(log, 'a');
+    a.request('job', waiting.callback);
+    a.request('job', { ifAvailable: true }, lock => results.push(lock));
+    await sim.tick(0);
+    assert.deepStrictEqual(results, [null, null]);
+
+    holder.release();
+    await sim.tick(50);
+    assert.deepStrictEqual(log, ['b:exclusive', 'b:released', 'a:exclusive']);
+    waiting.release();
+    await sim.tick(10);
+
+    a.request('job', { ifAvailable: true }, lock => results.push(lock));
+    await sim.tick(50);
+    assert.deepStrictEqual(results, [null, null, { name: 'job', mode: 'exclusive' }]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a stolen lock rejects the request of its holder, and the lock of a crashed tab expires', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b, c] = openManagers(sim, 3);
+    let lost = null;
+    a.request('job', () => new Promise(() => {})).catch(ex => {
+      lost = ex;
+    });
+    await sim.tick(50);
+
+    let stolen = null;
+    b.request('job', { steal: true }, lock => {
+      stolen = lock;
+      // The holder never releases the lock, as a tab that has crashed.
+      return new Promise(() => {});
+    });
+    await sim.tick(400);
+    assert.deepStrictEqual(stolen, { name: 'job', mode: 'exclusive' });
+    assert.strictEqual(lost.name, 'AbortError');
+
+    // The holder crashes: its lease is not renewed anymore.
+    Object.keys(b._held).forEach(id => sim.clock.clear(b._held[id].timer));
+    let acquired = false;
+    c.request('job', () => {
+      acquired = true;
+    });
+    await sim.tick(500);
+    assert.strictEqual(acquired, false);
+    await sim.tick(1000);
+    assert.strictEqual(acquired, true);
+    assert.deepStrictEqual(sim.errors, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('an aborted request is rejected with the reason of the signal', async () => {
+  const sim = createSimulation();
+  try {
+    const [a] = openManagers(sim, 1);
+    const holder = holdUntilReleased([], 'a');
+    a.request('job', holder.callback);
+    await sim.tick(50);
+
+    const controller = new AbortController();
+    let error = null;
+    a.request('job', { signal: controller.signal }, () => {}).catch(ex => {
+      error = ex;
+    });
+    controller.abort();
+    await sim.tick(0);
+    assert.strictEqual(error.name, 'AbortError');
+    assert.deepStrictEqual((await a.query()).pending, []);
+    holder.release();
+    await sim.tick(10);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const openPair = sim => {
+  const a = new (sim.openTab().BroadcastChannel)('mw');
+  const b = new (sim.openTab().BroadcastChannel)('mw');
+  const received = [];
+  const errors = [];
+  b.onmessage = ev => received.push(ev.data);
+  b.onmessageerror = ev => errors.push(ev.errors);
+  return { a, b, received, errors };
+};
+
+/**
+ * A middleware wrapping the outgoing data in { [name]: data }, and unwrapping the incoming data.
+ */
+const wrapper = (name, log) => ({
+  outgoing: (envelope, next) => {
+    log.push(`out ${name}`);
+    next({ ...envelope, data: { [name]: envelope.data } });
+  },
+  incoming: (envelope, next) => {
+    log.push(`in ${name}`);
+    next({ ...envelope, data: envelope.data[name] });
+  }
+});
+
+test('outgoing middlewares run in order of addition, incoming ones in reverse order', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, b, received } = openPair(sim);
+    const log = [];
+    a.use(wrapper('first', log));
+    a.use(wrapper('second', log));
+    const remove = b.use(wrapper('first', log));
+    b.use(wrapper('second', log));
+    let incoming = null;
+    b.use({ incoming: (envelope, next) => {
+      incoming = envelope;
+      next();
+    } });
+
+    a.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, ['hello']);
+    assert.deepStrictEqual(log, ['out first', 'out second', 'in second', 'in first']);
+    assert.deepStrictEqual(incoming.data, { second: { first: 'hello' } });
+    assert.strictEqual(incoming.from, a.name);
+    assert.strictEqual(incoming.tabId, a.tabId);
+
+    remove();
+    a.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, ['hello', { first: 'hello' }]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('middlewares can drop, delay and reroute the messages', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, b, received } = openPair(sim);
+    a.use({ outgoing: (envelope, next) => {
+      if (envelope.data === 'drop') return;
+      if (envelope.data === 'delay') {
+        setTimeout(next, 100);
+        return;
+      }
+      next(envelope.data === 'topic' ? { ...envelope, topic: 'news' } : envelope);
+    } });
+    const topics = [];
+    b.subscribe('news', data => topics.push(data));
+
+    ['delay', 'drop', 'topic', 'sent'].forEach(data => a.postMessage(data));
+    await sim.tick(10);
+    // The delayed message does not hold back the ones after it.
+    assert.deepStrictEqual(received, ['sent']);
+    assert.deepStrictEqual(topics, ['topic']);
+    await sim.tick(100);
+    assert.deepStrictEqual(received, ['sent', 'delay']);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('internal messages do not go through the middlewares', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, b, received } = openPair(sim);
+    a.use({ outgoing: () => {} });
+    b.use({ incoming: () => {} });
+    b.handle('ping', () => 'pong');
+
+    a.postMessage('dropped');
+    let pong = null;
+    a.request('ping').then(result => {
+      pong = result;
+    });
+    await sim.tick(10);
+    assert.strictEqual(pong, 'pong');
+    assert.deepStrictEqual(received, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('errors of outgoing middlewares are thrown, errors of incoming ones dispatched as messageerror', async () => {
+  const sim = createSimulation();
+  try {
+    const { a, b, received, errors } = openPair(sim);
+    a.use({ outgoing: envelope => {
+      throw new Error(`Cannot send ${envelope.data}`);
+    } });
+    assert.throws(() => a.postMessage('hello'), { message: 'Cannot send hello' });
+
+    b.use({ incoming: () => {
+      throw new Error('Cannot read');
+    } });
+    const c = new (sim.openTab().BroadcastChannel)('mw');
+    c.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, []);
+    assert.deepStrictEqual(errors, [['A middleware has thrown: Cannot read']]);
+  } finally {
+    sim.destroy();
+  }
+});
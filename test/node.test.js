@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { Worker } = require('worker_threads');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Resolves with the first message received by the channel, or rejects after the timeout.
+ */
+const nextMessage = (channel, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('No message received')), timeout);
+  channel.onmessage = ev => {
+    clearTimeout(timer);
+    resolve(ev.data);
+  };
+});
+
+test('the package loads without a window, and exports the native BroadcastChannel where available', () => {
+  const BroadcastChannel = require('..');
+  assert.strictEqual(BroadcastChannel, globalThis.BroadcastChannel);
+  const Polyfill = require('../polyfill');
+  assert.notStrictEqual(Polyfill, BroadcastChannel);
+});
+
+test('channels reach the other channels of the process, and the ones of its worker threads', async () => {
+  const BroadcastChannel = require('../polyfill');
+  const a = new BroadcastChannel('node');
+  const b = new BroadcastChannel('node');
+  try {
+    const received = nextMessage(b);
+    a.postMessage({ from: 'a', at: new Date(0) });
+    assert.deepStrictEqual(await received, { from: 'a', at: new Date(0) });
+
+    const fromWorker = nextMessage(a);
+    const worker = new Worker(`
+      const BroadcastChannel = require(${JSON.stringify(path.join(ROOT, 'polyfill'))});
+      const bc = new BroadcastChannel('node');
+      bc.postMessage({ from: 'worker', set: new Set([1]) });
+      bc.close();
+    `, { eval: true });
+    try {
+      assert.deepStrictEqual(await fromWorker, { from: 'worker', set: new Set([1]) });
+    } finally {
+      await worker.terminate();
+    }
+  } finally {
+    a.close();
+    b.close();
+  }
+});
+
+test('the file transport reaches the channels of other processes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyBC-test-'));
+  const BroadcastChannel = require('../polyfill');
+  const { createFileTransport } = require('../src/transports/file');
+  const bc = new BroadcastChannel('processes', { transport: createFileTransport({ dir, pollInterval: 20 }) });
+  try {
+    const received = nextMessage(bc);
+    const script = `
+      const BroadcastChannel = require(${JSON.stringify(path.join(ROOT, 'polyfill'))});
+      const { createFileTransport } = require(${JSON.stringify(path.join(ROOT, 'src/transports/file'))});
+      const bc = new BroadcastChannel('processes', { transport: createFileTransport({ dir: ${JSON.stringify(dir)} }) });
+      bc.postMessage({ pid: process.pid });
+      bc.close();
+    `;
+    const pid = await new Promise((resolve, reject) => {
+      const child = execFile(process.execPath, ['-e', script], err => (err ? reject(err) : undefined));
+      resolve(child.pid);
+    });
+    assert.deepStrictEqual(await received, { pid });
+  } finally {
+    bc.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+test('ordered channels deliver the messages in order, whatever the order they arrive in', async () => {
+  // Every storage event takes 0 to 50ms to arrive.
+  const sim = createSimulation({ seed: 7, latency: () => Math.floor(sim.random() * 50) });
+  try {
+    const sender = sim.openTab();
+    const receiver = sim.openTab();
+    const a = new sender.BroadcastChannel('ch');
+    const unordered = new receiver.BroadcastChannel('ch');
+    const ordered = new receiver.BroadcastChannel('ch', { ordered: { window: 200 } });
+    const received = { unordered: [], ordered: [] };
+    unordered.onmessage = ev => received.unordered.push(ev.data);
+    ordered.onmessage = ev => received.ordered.push(ev.data);
+
+    const sent = Array.from({ length: 20 }, (v, i) => i);
+    sent.forEach(i => a.postMessage(i));
+    await sim.tick(300);
+
+    assert.notDeepStrictEqual(received.unordered, sent, 'the messages have arrived out of order');
+    assert.deepStrictEqual(received.unordered.slice().sort((x, y) => x - y), sent);
+    assert.deepStrictEqual(received.ordered, sent);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('an ordered channel stops waiting for a missing message after its window', async () => {
+  // The third message is lost ( arrives long after the others ).
+  let count = 0;
+  const sim = createSimulation({
+    latency: ev => (ev.newValue && ev.key.indexOf('polyBC_message_') === 0 && count++ === 2 ? 60000 : 0)
+  });
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('ch');
+    const b = new (sim.openTab().BroadcastChannel)('ch', { ordered: { window: 200 } });
+    const received = [];
+    b.onmessage = ev => received.push(ev.data);
+
+    [0, 1, 2, 3, 4].forEach(i => a.postMessage(i));
+    await sim.tick(100);
+    assert.deepStrictEqual(received, [0, 1]);
+
+    await sim.tick(200);
+    assert.deepStrictEqual(received, [0, 1, 3, 4]);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const OPTIONS = { presence: { heartbeat: 100 } };
+
+const openMember = (sim, tab = sim.openTab()) => {
+  const bc = new tab.BroadcastChannel('room', OPTIONS);
+  const events = [];
+  bc.addEventListener('memberjoin', ev => events.push(['join', ev.detail.id]));
+  bc.addEventListener('memberleave', ev => events.push(['leave', ev.detail.id]));
+  return { tab, bc, events };
+};
+
+const memberIds = member => member.bc.getMembers().map(m => m.id).sort();
+
+test('the members of a channel know each other, including the ones that joined before them', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openMember(sim);
+    const b = openMember(sim);
+    await sim.tick(10);
+    const c = openMember(sim);
+    await sim.tick(10);
+
+    assert.deepStrictEqual(memberIds(a), [b.bc.name, c.bc.name].sort());
+    assert.deepStrictEqual(memberIds(c), [a.bc.name, b.bc.name].sort());
+    assert.deepStrictEqual(a.events, [['join', b.bc.name], ['join', c.bc.name]]);
+    const member = c.bc.getMembers().filter(m => m.id === a.bc.name)[0];
+    assert.strictEqual(member.tabId, a.bc.tabId);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a member leaves when its channel is closed or its page is hidden', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openMember(sim);
+    const b = openMember(sim);
+    const c = openMember(sim);
+    await sim.tick(10);
+
+    b.bc.close();
+    await sim.tick(10);
+    assert.deepStrictEqual(a.events.filter(ev => ev[0] === 'leave'), [['leave', b.bc.name]]);
+
+    c.tab.close();
+    await sim.tick(10);
+    assert.deepStrictEqual(a.events.filter(ev => ev[0] === 'leave'), [['leave', b.bc.name], ['leave', c.bc.name]]);
+    assert.deepStrictEqual(a.bc.getMembers(), []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a member that misses its heartbeats is evicted, and joins again when it comes back', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openMember(sim);
+    const b = openMember(sim);
+    await sim.tick(10);
+
+    // The storage events of a are held ( e.g. a throttled background tab ): it misses the heartbeats of b.
+    a.tab.suspend();
+    await sim.tick(450);
+    assert.deepStrictEqual(a.events, [['join', b.bc.name], ['leave', b.bc.name]]);
+    // b still receives the heartbeats of a.
+    assert.deepStrictEqual(memberIds(b), [a.bc.name]);
+
+    a.tab.resume();
+    await sim.tick(150);
+    assert.deepStrictEqual(a.events, [['join', b.bc.name], ['leave', b.bc.name], ['join', b.bc.name]]);
+    assert.deepStrictEqual(b.events, [['join', a.bc.name]]);
+  } finally {
+    sim.destroy();
+  }
+});
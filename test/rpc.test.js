@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const openChannels = (sim, count, options) =>
+  Array.from({ length: count }, () => new (sim.openTab().BroadcastChannel)('rpc', options));
+
+test('a request is resolved with the result of the handler, or rejected with its error', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openChannels(sim, 2);
+    b.handle('sum', (numbers, info) => ({ sum: numbers.reduce((x, y) => x + y, 0), from: info.from }));
+    b.handle('fail', () => Promise.reject(new RangeError('Out of range')));
+
+    let result = null;
+    let error = null;
+    a.request('sum', [1, 2, 3]).then(value => {
+      result = value;
+    });
+    a.request('fail').catch(ex => {
+      error = ex;
+    });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(result, { sum: 6, from: a.name });
+    assert.strictEqual(error.name, 'RangeError');
+    assert.strictEqual(error.message, 'Out of range');
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a request without handler times out, and mode all gathers every response', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b, c] = openChannels(sim, 3, { presence: { heartbeat: 50 } });
+    b.handle('whoami', () => 'b');
+    c.handle('whoami', () => 'c');
+    await sim.tick(10);
+
+    let timeout = null;
+    a.request('unknown', null, { timeout: 100 }).catch(ex => {
+      timeout = ex;
+    });
+    let all = null;
+    a.request('whoami', null, { mode: 'all', timeout: 1000 }).then(responses => {
+      all = responses;
+    });
+    await sim.tick(20);
+    // With presence, the responses are resolved as soon as every member has responded.
+    assert.deepStrictEqual(all.map(response => response.result).sort(), ['b', 'c']);
+
+    let targeted = null;
+    a.request('whoami', null, { target: c.tabId }).then(value => {
+      targeted = value;
+    });
+    await sim.tick(100);
+    assert.strictEqual(timeout.name, 'TimeoutError');
+    assert.strictEqual(targeted, 'c');
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a result that cannot be cloned rejects the request with a DataCloneError', async () => {
+  const sim = createSimulation();
+  const rejections = [];
+  const onRejection = ex => rejections.push(ex);
+  process.on('unhandledRejection', onRejection);
+  try {
+    const [a, b] = openChannels(sim, 2);
+    b.handle('get', () => ({ callback: () => {} }));
+
+    let error = null;
+    a.request('get', null, { timeout: 1000 }).catch(ex => {
+      error = ex;
+    });
+    await sim.tick(10);
+
+    assert.ok(error, 'the request is rejected without waiting for the timeout');
+    assert.strictEqual(error.name, 'DataCloneError');
+    assert.deepStrictEqual(rejections, []);
+    assert.deepStrictEqual(sim.errors, []);
+  } finally {
+    process.removeListener('unhandledRejection', onRejection);
+    sim.destroy();
+  }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+const { createValidator } = require('../src/schema');
+
+const CART_SCHEMA = {
+  key: 'type',
+  types: {
+    add: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        type: { const: 'add' },
+        id: { type: 'integer', minimum: 1 },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    clear: data => Object.keys(data).length === 1 || 'clear takes no arguments'
+  }
+};
+
+test('a JSON Schema reports every error, with its path', () => {
+  const validate = createValidator({
+    type: 'object',
+    required: ['name', 'age'],
+    properties: {
+      name: { type: 'string', minLength: 2, pattern: '^[A-Z]' },
+      age: { type: 'integer', maximum: 150 },
+      role: { enum: ['admin', 'user'] },
+      contact: { anyOf: [{ type: 'string' }, { type: 'object', required: ['email'] }] }
+    }
+  });
+
+  assert.deepStrictEqual(validate({ name: 'Ann', age: 30, role: 'user', contact: { email: 'ann@example.com' } }), []);
+  assert.deepStrictEqual(validate({ name: 'a', age: 200.5, role: 'guest', contact: 42 }), [
+    'message.name should have at least 2 characters',
+    'message.name should match ^[A-Z]',
+    'message.age should be integer, got number',
+    'message.role should be one of ["admin","user"]',
+    'message.contact should match one of the schemas in anyOf'
+  ]);
+  assert.deepStrictEqual(validate({}), ['message.name is required', 'message.age is required']);
+  assert.deepStrictEqual(validate([]), ['message should be object, got array']);
+});
+
+test('a map of schemas validates each message with the schema of its type', () => {
+  const validate = createValidator(CART_SCHEMA);
+
+  assert.deepStrictEqual(validate({ type: 'add', id: 1, tags: ['new'] }), []);
+  assert.deepStrictEqual(validate({ type: 'add', id: 0, tags: [1], extra: true }), [
+    'message.id should be >= 1',
+    'message.tags[0] should be string, got number',
+    'message.extra is not allowed'
+  ]);
+  assert.deepStrictEqual(validate({ type: 'clear' }), []);
+  assert.deepStrictEqual(validate({ type: 'clear', all: true }), ['clear takes no arguments']);
+  assert.deepStrictEqual(validate({ type: 'remove' }), ['message.type should be one of ["add","clear"]']);
+  assert.deepStrictEqual(createValidator(() => false)(1), ['message is invalid']);
+});
+
+test('invalid messages cannot be sent, and are dispatched as messageerror when received', async () => {
+  const sim = createSimulation();
+  try {
+    const a = new (sim.openTab().BroadcastChannel)('cart', { schema: CART_SCHEMA });
+    const b = new (sim.openTab().BroadcastChannel)('cart', { schema: CART_SCHEMA });
+    const unchecked = new (sim.openTab().BroadcastChannel)('cart');
+    const received = [];
+    const errors = [];
+    b.onmessage = ev => received.push(ev.data);
+    b.onmessageerror = ev => errors.push(ev.errors);
+
+    assert.throws(() => a.postMessage({ type: 'add', id: 'x' }), error => {
+      assert.strictEqual(error.name, 'DataError');
+      assert.deepStrictEqual(error.errors, ['message.id should be integer, got string']);
+      return true;
+    });
+    a.postMessage({ type: 'add', id: 1 });
+    unchecked.postMessage({ type: 'clear', all: true });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(received, [{ type: 'add', id: 1 }]);
+    assert.deepStrictEqual(errors, [['clear takes no arguments']]);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const MESSAGE_PREFIX = 'polyBC_message_';
+
+test('an IE tab receives its own storage events, but its channels get each message once', async () => {
+  const sim = createSimulation();
+  try {
+    const ie = sim.openTab({ ie: true });
+    const other = sim.openTab();
+    const ieKeys = [];
+    const otherKeys = [];
+    ie.window.addEventListener('storage', ev => ieKeys.push(ev.key));
+    // Keys written ( not removed ) seen by the other tab.
+    other.window.addEventListener('storage', ev => ev.newValue !== null && otherKeys.push(ev.key));
+
+    const sender = new ie.BroadcastChannel('ch');
+    const sameTab = new ie.BroadcastChannel('ch');
+    const otherTab = new other.BroadcastChannel('ch');
+    const received = { sender: [], sameTab: [], otherTab: [] };
+    sender.onmessage = ev => received.sender.push(ev.data);
+    sameTab.onmessage = ev => received.sameTab.push(ev.data);
+    otherTab.onmessage = ev => received.otherTab.push(ev.data);
+
+    sender.postMessage('from IE');
+    await sim.tick(10);
+    assert.ok(ieKeys.some(key => key.indexOf(MESSAGE_PREFIX) === 0), 'the IE tab has seen its own write');
+    assert.deepStrictEqual(received, { sender: [], sameTab: ['from IE'], otherTab: ['from IE'] });
+
+    otherKeys.length = 0;
+    otherTab.postMessage('to IE');
+    await sim.tick(10);
+    assert.ok(!otherKeys.some(key => key.indexOf(MESSAGE_PREFIX) === 0), 'other tabs do not see their own writes');
+    assert.deepStrictEqual(received.sender, ['to IE']);
+    assert.deepStrictEqual(received.sameTab, ['from IE', 'to IE']);
+    assert.deepStrictEqual(sim.errors, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the simulation is reproducible, and restores the timers when destroyed', async () => {
+  const run = async seed => {
+    const sim = createSimulation({ seed, latency: () => Math.floor(sim.random() * 20) });
+    try {
+      const tabs = [sim.openTab(), sim.openTab()];
+      const [a, b] = tabs.map(tab => new tab.BroadcastChannel('ch'));
+      const log = [a.tabId];
+      b.onmessage = ev => log.push(`${ev.data}@${Date.now()}`);
+      for (let i = 0; i < 10; i++) {
+        a.postMessage(i);
+      }
+      await sim.tick(100);
+      return log.join(' ');
+    } finally {
+      sim.destroy();
+    }
+  };
+
+  const first = await run(1);
+  assert.strictEqual(await run(1), first);
+  assert.notStrictEqual(await run(2), first);
+  assert.ok(Date.now() > Date.UTC(2022, 0, 1), 'Date is restored');
+  assert.strictEqual(typeof setTimeout(() => {}, 0).unref, 'function', 'setTimeout is restored');
+});
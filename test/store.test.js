@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+const openStores = (sim, count, initialState, options) =>
+  Array.from({ length: count }, () => sim.openTab().BroadcastChannel.createSharedStore('settings', initialState, options));
+
+test('the values set in a tab are seen by the others, and notified with the changed keys', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openStores(sim, 2, { theme: 'light', fontSize: 12 });
+    const changes = [];
+    b.subscribe((state, changedKeys) => changes.push({ state, changedKeys }));
+
+    a.set('theme', 'dark');
+    a.set({ fontSize: 14, tags: new Set(['x']) });
+    assert.deepStrictEqual(a.get(), { theme: 'dark', fontSize: 14, tags: new Set(['x']) });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(b.get(), { theme: 'dark', fontSize: 14, tags: new Set(['x']) });
+    assert.deepStrictEqual(changes.map(change => change.changedKeys), [['theme'], ['fontSize', 'tags']]);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('concurrent writes converge to the same value in every tab', async () => {
+  // Every storage event takes a different time to arrive.
+  const sim = createSimulation({ seed: 7, latency: () => Math.floor(sim.random() * 20) });
+  try {
+    const stores = openStores(sim, 3, { count: 0 });
+    await sim.tick(50);
+    stores.forEach((store, i) => store.set('count', i + 1));
+    await sim.tick(100);
+
+    const values = stores.map(store => store.get('count'));
+    assert.strictEqual(new Set(values).size, 1);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a new tab gets the state from the open tabs, or from storage once they are closed', async () => {
+  const sim = createSimulation();
+  try {
+    const [a] = openStores(sim, 1, { theme: 'light' });
+    a.set('theme', 'dark');
+    await sim.tick(10);
+
+    const [b] = openStores(sim, 1, { theme: 'light' });
+    assert.strictEqual(b.get('theme'), 'dark');
+    sim.tabs.forEach(tab => tab.close());
+
+    const [c] = openStores(sim, 1, { theme: 'light' });
+    assert.strictEqual(c.get('theme'), 'dark');
+    const [d] = openStores(sim, 1, { theme: 'light' }, { persist: false });
+    assert.strictEqual(d.get('theme'), 'light');
+    await sim.tick(10);
+    // Synchronized with the open tab.
+    assert.strictEqual(d.get('theme'), 'dark');
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a value that cannot be cloned throws, and leaves the state unchanged', async () => {
+  const sim = createSimulation();
+  try {
+    const [a, b] = openStores(sim, 2, { theme: 'light' });
+    const notified = [];
+    a.subscribe(state => notified.push(state));
+
+    assert.throws(() => a.set({ theme: 'dark', onChange: () => {} }), { name: 'DataCloneError' });
+    await sim.tick(10);
+    assert.deepStrictEqual(a.get(), { theme: 'light' });
+    assert.deepStrictEqual(b.get(), { theme: 'light' });
+    assert.deepStrictEqual(notified, []);
+
+    const [c] = openStores(sim, 1, {});
+    assert.deepStrictEqual(c.get(), {});
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('when the quota is exceeded, the state is still shared with the open tabs', async () => {
+  // Room for the message, but not for the message and the persisted state.
+  const sim = createSimulation({ quota: 3000 });
+  try {
+    const [a, b] = openStores(sim, 2, {});
+    await sim.tick(10);
+    a.set('text', 'x'.repeat(1500));
+    assert.strictEqual(sim.localStorage.getItem('polyBC_store_settings'), null);
+    await sim.tick(10);
+    assert.strictEqual(b.get('text').length, 1500);
+    assert.deepStrictEqual(sim.errors, []);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+const { matchTopic } = require('../src/topics');
+const { jsonCodec } = require('../src/codec');
+
+/**
+ * Opens a channel in a new tab, recording its messages and how many it has deserialized.
+ */
+const openChannel = (sim, options = {}) => {
+  const channel = { received: [], deserialized: 0 };
+  const codec = {
+    serialize: data => jsonCodec.serialize(data),
+    deserialize: text => {
+      channel.deserialized++;
+      return jsonCodec.deserialize(text);
+    }
+  };
+  channel.bc = new (sim.openTab().BroadcastChannel)('shop', { codec, ...options });
+  channel.bc.onmessage = ev => channel.received.push(ev.data);
+  return channel;
+};
+
+test('topic patterns match one segment with *, and any number of segments with **', () => {
+  assert.strictEqual(matchTopic('cart.*', 'cart.add'), true);
+  assert.strictEqual(matchTopic('cart.*', 'cart'), false);
+  assert.strictEqual(matchTopic('cart.*', 'cart.item.add'), false);
+  assert.strictEqual(matchTopic('cart.**', 'cart'), true);
+  assert.strictEqual(matchTopic('cart.**', 'cart.item.add'), true);
+  assert.strictEqual(matchTopic('**.add', 'cart.item.add'), true);
+  assert.strictEqual(matchTopic('*.add', 'cart.item.add'), false);
+  assert.strictEqual(matchTopic('cart.add', 'cart.remove'), false);
+});
+
+test('a message sent to a channel name or a tabId is only delivered, and deserialized, there', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim);
+    const b = openChannel(sim);
+    const c = openChannel(sim);
+
+    a.bc.postMessage('to b', { to: b.bc.name });
+    a.bc.postMessage('to c', { to: [c.bc.tabId] });
+    a.bc.postMessage('to all');
+    await sim.tick(10);
+
+    assert.deepStrictEqual(b.received, ['to b', 'to all']);
+    assert.deepStrictEqual(c.received, ['to c', 'to all']);
+    assert.strictEqual(b.deserialized, 2);
+    assert.strictEqual(c.deserialized, 2);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a message can be sent to the members matching a predicate', async () => {
+  const sim = createSimulation();
+  try {
+    const options = { presence: { heartbeat: 100 } };
+    const a = openChannel(sim, options);
+    const b = openChannel(sim, options);
+    const c = openChannel(sim, options);
+    await sim.tick(10);
+
+    a.bc.postMessage('not c', { to: member => member.id !== c.bc.name });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(b.received, ['not c']);
+    assert.deepStrictEqual(c.received, []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('messages with a topic are delivered to the matching subscriptions only', async () => {
+  const sim = createSimulation();
+  try {
+    const a = openChannel(sim);
+    const b = openChannel(sim);
+    const c = openChannel(sim);
+    const cart = [];
+    const all = [];
+    const unsubscribe = b.bc.subscribe('cart.*', (data, info) => cart.push([info.topic, data, info.from, info.tabId]));
+    b.bc.subscribe('**', (data, { topic }) => all.push(topic));
+
+    a.bc.postMessage({ id: 42 }, { topic: 'cart.add' });
+    a.bc.postMessage({ id: 42 }, { topic: 'user.login' });
+    await sim.tick(10);
+    unsubscribe();
+    a.bc.postMessage({ id: 43 }, { topic: 'cart.add' });
+    await sim.tick(10);
+
+    assert.deepStrictEqual(cart, [['cart.add', { id: 42 }, a.bc.name, a.bc.tabId]]);
+    assert.deepStrictEqual(all, ['cart.add', 'user.login', 'cart.add']);
+    // Not dispatched as message events, and not deserialized without a matching subscription.
+    assert.deepStrictEqual(b.received, []);
+    assert.strictEqual(c.deserialized, 0);
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+
+/**
+ * A transport linking the channels opened on the same bus, in any tab.
+ */
+const createBusTransport = bus => ({
+  name: 'bus',
+  isSupported: () => true,
+  open(context, receive) {
+    const receiver = (raw, channelId) => receive(raw, channelId);
+    bus.push(receiver);
+    return {
+      post(channelId, raw) {
+        bus.filter(other => other !== receiver).forEach(other => setTimeout(() => other(raw, channelId), 0));
+      },
+      close() {
+        bus.splice(bus.indexOf(receiver), 1);
+      }
+    };
+  }
+});
+
+/**
+ * Installs a fake native BroadcastChannel in the windows of the tabs, delivering through the virtual clock.
+ */
+const installNative = tabs => {
+  const opened = [];
+  class NativeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      opened.push(this);
+    }
+
+    postMessage(data) {
+      opened.filter(other => other !== this && other.name === this.name).forEach(other => {
+        setTimeout(() => other.onmessage && other.onmessage({ data: structuredClone(data) }), 0);
+      });
+    }
+
+    close() {
+      opened.splice(opened.indexOf(this), 1);
+    }
+  }
+  tabs.forEach(tab => {
+    tab.window.BroadcastChannel = NativeBroadcastChannel;
+  });
+  return opened;
+};
+
+test('the tabs are reached through localStorage, and the channels of the same tab directly', async () => {
+  const writes = [];
+  const sim = createSimulation({ latency: ev => (ev.newValue !== null && writes.push(ev.key), 0) });
+  try {
+    const tab1 = sim.openTab();
+    const a = new tab1.BroadcastChannel('news');
+    const sibling = new tab1.BroadcastChannel('news');
+    const b = new (sim.openTab().BroadcastChannel)('news');
+    const received = [];
+    sibling.onmessage = ev => received.push(['sibling', ev.data]);
+    b.onmessage = ev => received.push(['b', ev.data]);
+
+    a.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(received.sort(), [['b', 'hello'], ['sibling', 'hello']]);
+    assert.strictEqual(writes.filter(key => key.indexOf('polyBC_message_') === 0).length, 1);
+    // The message is removed from localStorage once received.
+    await sim.tick(1000);
+    const keys = Array.from({ length: sim.localStorage.length }, (v, i) => sim.localStorage.key(i));
+    assert.deepStrictEqual(keys.filter(key => key.indexOf('polyBC_message_') === 0), []);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('the native BroadcastChannel is used where available, with channel names of its own', async () => {
+  const writes = [];
+  const sim = createSimulation({ latency: ev => (ev.newValue !== null && writes.push(ev.key), 0) });
+  try {
+    const tabs = [sim.openTab(), sim.openTab()];
+    const natives = installNative(tabs);
+    const [a, b] = tabs.map(tab => new tab.BroadcastChannel('news'));
+    const received = [];
+    b.onmessage = ev => received.push(ev.data);
+
+    a.postMessage({ text: 'hello' });
+    await sim.tick(10);
+    assert.deepStrictEqual(received, [{ text: 'hello' }]);
+    assert.deepStrictEqual(natives.map(native => native.name), ['polyBC_news', 'polyBC_news']);
+    assert.deepStrictEqual(writes.filter(key => key.indexOf('polyBC_message_') === 0), []);
+
+    a.close();
+    b.close();
+    assert.strictEqual(natives.length, 0);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('transports with the same name but different options have their own handles', async () => {
+  const sim = createSimulation();
+  try {
+    const first = [];
+    const second = [];
+    const [tab1, tab2] = [sim.openTab(), sim.openTab()];
+    const a = new tab1.BroadcastChannel('news', { transport: createBusTransport(first) });
+    const b = new tab2.BroadcastChannel('news', { transport: createBusTransport(first) });
+    const c = new tab2.BroadcastChannel('news', { transport: createBusTransport(second) });
+    const received = [];
+    b.onmessage = ev => received.push(['b', ev.data]);
+    c.onmessage = ev => received.push(['c', ev.data]);
+
+    a.postMessage('hello');
+    await sim.tick(10);
+    assert.deepStrictEqual(received, [['b', 'hello']]);
+    assert.strictEqual(second.length, 1);
+    c.close();
+    assert.strictEqual(second.length, 0);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('a closed subscription cannot post anymore, and a missing transport throws a NotSupportedError', async () => {
+  const sim = createSimulation();
+  try {
+    const tab = sim.openTab();
+    const { subscribe } = tab.require('src/transports');
+    const subscription = subscribe(createBusTransport([]), 'polyBC_news', tab.window, () => false);
+    subscription.close();
+    assert.throws(() => subscription.post('{}'), { name: 'InvalidStateError' });
+
+    // No ServiceWorker is active in the tab.
+    assert.throws(() => new tab.BroadcastChannel('news', { transport: 'serviceworker' }), { name: 'NotSupportedError' });
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('when IndexedDB cannot be opened, the failure is reported and posting throws a NotSupportedError', async () => {
+  const sim = createSimulation();
+  try {
+    const tab = sim.openTab();
+    tab.window.indexedDB = {
+      open() {
+        const request = {};
+        setTimeout(() => {
+          request.error = new Error('The user denied permission');
+          request.onerror();
+        }, 10);
+        return request;
+      }
+    };
+    const { createIndexedDBTransport } = tab.require('src/transports');
+    const bc = new tab.BroadcastChannel('news', { transport: createIndexedDBTransport() });
+    // Queued until the database is opened.
+    bc.postMessage('lost');
+    await sim.tick(20);
+
+    assert.strictEqual(sim.errors.length, 1);
+    assert.strictEqual(sim.errors[0].name, 'NotSupportedError');
+    assert.throws(() => bc.postMessage('hello'), { name: 'NotSupportedError' });
+  } finally {
+    sim.destroy();
+  }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation } = require('../src/testing');
+const { compareVersions } = require('../src/versioning');
+
+/**
+ * Writes a message the way the previous versions of the polyfill did ( protocol 0 ): plain JSON data, no codec.
+ */
+const writeOldMessage = (sim, channelName, data) => {
+  const channelId = `polyBC_${channelName}`;
+  const key = `polyBC_message_oldTab${sim.clock.now()}_${channelId}`;
+  sim.localStorage.setItem(key, JSON.stringify({
+    channelId,
+    bcId: `${channelId}::::old`,
+    tabId: 'oldTab',
+    message: { timestamp: sim.clock.now(), isTrusted: true, data, origin: sim.origin }
+  }));
+};
+
+test('the messages of the previous versions of the polyfill are read as plain JSON', async () => {
+  const sim = createSimulation();
+  try {
+    const bc = new (sim.openTab().BroadcastChannel)('deploy', { version: '2.0.0' });
+    const received = [];
+    const mismatches = [];
+    const errors = [];
+    bc.onmessage = ev => received.push(ev.data);
+    bc.onversionmismatch = ev => mismatches.push(ev.detail);
+    bc.onmessageerror = ev => errors.push(ev.errors);
+
+    writeOldMessage(sim, 'deploy', { cart: [1, 2], user: 'ann' });
+    writeOldMessage(sim, 'deploy', 'plain text');
+    await sim.tick(10);
+
+    assert.deepStrictEqual(received, [{ cart: [1, 2], user: 'ann' }, 'plain text']);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(mismatches.length, 1);
+    assert.strictEqual(mismatches[0].protocol, 0);
+    assert.strictEqual(mismatches[0].newer, false);
+  } finally {
+    sim.destroy();
+  }
+});
+
+test('versions are compared segment by segment, numerically where possible', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.2') > 0);
+  assert.ok(compareVersions('1.0', '1.0.1') < 0);
+  assert.ok(compareVersions('2.0.0-beta', '2.0.0-alpha') > 0);
+  assert.ok(compareVersions(undefined, '0.0.1') < 0);
+  assert.strictEqual(compareVersions('1.2.3', '1.2.3'), 0);
+});
+
+test('channels with other versions are reported, and the older ones can be asked to reload', async () => {
+  const sim = createSimulation();
+  try {
+    const oldTab = sim.openTab();
+    const old = new oldTab.BroadcastChannel('deploy', { version: '1.9.0' });
+    const cancelingTab = sim.openTab();
+    const canceling = new cancelingTab.BroadcastChannel('deploy', { version: '1.8.0' });
+    new (sim.openTab().BroadcastChannel)('deploy', { version: '1.9.0' });
+    await sim.tick(10);
+
+    const newTab = sim.openTab();
+    const current = new newTab.BroadcastChannel('deploy', { version: '1.10.0' });
+    const mismatches = [];
+    const requests = [];
+    current.onversionmismatch = ev => mismatches.push([ev.detail.id, ev.detail.version, ev.detail.newer]);
+    old.onversionmismatch = ev => mismatches.push([ev.detail.id, ev.detail.version, ev.detail.newer]);
+    old.addEventListener('reloadrequest', ev => requests.push(ev.detail.from));
+    canceling.addEventListener('reloadrequest', ev => ev.preventDefault());
+    await sim.tick(10);
+
+    assert.deepStrictEqual(mismatches.filter(m => m[0] === current.name), [[current.name, '1.10.0', true]]);
+    assert.deepStrictEqual(current.getVersions().map(peer => peer.version).sort(), ['1.8.0', '1.9.0', '1.9.0']);
+
+    // The channels with the same version as the newest one are not asked to reload.
+    new newTab.BroadcastChannel('deploy', { version: '1.10.0' });
+    await sim.tick(10);
+    current.requestReload();
+    await sim.tick(10);
+
+    assert.deepStrictEqual(requests, [current.name]);
+    assert.strictEqual(oldTab.reloads, 1);
+    assert.strictEqual(cancelingTab.reloads, 0);
+    assert.strictEqual(sim.tabs.reduce((sum, tab) => sum + tab.reloads, 0), 2);
+    assert.strictEqual(newTab.reloads, 0);
+  } finally {
+    sim.destroy();
+  }
+});